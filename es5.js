@@ -38,13 +38,183 @@
  * @param {function} [done] - mark parallel middleware to have completed
  */
 
+/**
+ * Options which can be passed as the final parameter when registering middleware.
+ * @typedef {Object} middlewareOptions
+ * @property {Number} [priority=0] - Middleware with a higher priority is executed first. Middleware with equal priority is executed in order of registration.
+ * @property {String} [name] - Registers the middleware under `name`, which allows other middleware to refer to it. Names need to be unique per hook.
+ * @property {(String|String[])} [before] - Names of middleware this middleware needs to be executed before. Takes precedence over `priority`.
+ * @property {(String|String[])} [after] - Names of middleware this middleware needs to be executed after. Takes precedence over `priority`.
+ * @property {Boolean} [handle=false] - Return a {@link registrationHandle} instead of the instance.
+ * @property {(String|String[])} [tags] - Tags the middleware, which allows retrieving or removing middleware in bulk, see {@link GrapplingHook#unhook}.
+ * @property {Boolean} [passResult=false] - Only applies to middleware executed after the original method of wrapped methods, e.g. `post` middleware.
+ * Instead of the parameters passed to the hook, the middleware receives the result of the wrapped method (an array if the method produced multiple values),
+ * and is able to replace it by passing a new result to `next`, or returning or resolving a value other than `undefined`.
+ * @property {Number} [times] - Remove the middleware after it has been executed `times` times. By default middleware is never removed.
+ * @property {Boolean} [critical=true] - Set to `false` to keep executing the remaining middleware when this middleware fails,
+ * instead of failing the hook. The error is reported to {@link options}.onMiddlewareError. Doesn't apply to `around` middleware,
+ * which wraps the original method, nor to `error` middleware, whose errors replace the error it handles.
+ * @property {Number} [timeout] - Fails the hook with a {@link HookTimeoutError} if the middleware hasn't finished within `timeout`
+ * milliseconds, i.e. called `next` (and `done`), or settled the thenable it returned. Overrides {@link hookOptions}.timeout.
+ * Since `around` middleware wraps the original method, its timeout includes the method. Doesn't apply to synchronous hooks.
+ * @property {retryOptions} [retry] - Executes the middleware again when it fails, before passing control to the next middleware.
+ * Doesn't apply to synchronous hooks, nor to parallel middleware.
+ * @property {Boolean} [callContext=false] - Passes the {@link module:grappling-hook.callContext call context} of the hook call
+ * to the middleware, following the parameters of the hook. An empty call context if none was passed.
+ * Doesn't apply to `around`, `error` and `finally` middleware.
+ * @example
+ * instance.pre('save', function(){
+ *   console.log('second');
+ * });
+ * instance.pre('save', function(){
+ *   console.log('first');
+ * }, {priority: 1});
+ * @example
+ * instance.pre('save', audit, {name: 'audit'});
+ * instance.pre('save', checkPermissions, {name: 'auth', before: 'audit'});
+ * instance.pre('save', validate, {after: ['auth'], before: ['audit']});
+ * //executes `checkPermissions`, `validate`, `audit`
+ * @example
+ * instance.post('find', function(result, next){
+ *   next(null, redact(result));
+ * }, {passResult: true});
+ * @example
+ * instance.post('save', sendWebhook, {retry: {attempts: 5, backoff: 'exponential'}});
+ */
+
+/**
+ * Declares how failing middleware, or the original method of a wrapped method, is retried.
+ * The timeout of the middleware, see {@link middlewareOptions}.timeout, covers all attempts.
+ * Once the `AbortSignal` of the {@link module:grappling-hook.callContext call context} aborted, no further attempts are made.
+ * @typedef {Object} retryOptions
+ * @property {Number} [attempts=3] - The maximum number of attempts, including the first.
+ * @property {String} [backoff='fixed'] - Either 'fixed', waiting `delay` milliseconds before each retry, or 'exponential',
+ * doubling the wait before each retry, starting at `delay` milliseconds.
+ * @property {Number} [delay=100] - Milliseconds to wait before the first retry.
+ * @property {Function} [retryOn] - Receives the error and returns whether to retry, by default all errors are retried.
+ * @example
+ * instance.post('save', sendWebhook, {
+ *   retry: {
+ *     attempts: 4,
+ *     backoff : 'exponential',
+ *     delay   : 200, // waits 200, 400 and 800ms
+ *     retryOn : function(err) {
+ *       return err.status >= 500;
+ *     }
+ *   }
+ * });
+ */
+
+/**
+ * Options which can be passed as the final parameter when declaring hooks with {@link GrapplingHook#allowHooks}.
+ * @typedef {Object} hookOptions
+ * @property {String} [mode='series'] - Determines how the middleware of the hook is executed:
+ * - 'series': one after the other, all middleware receives the same parameters.
+ * - 'waterfall': one after the other, the values middleware passes to `next`, returns or resolves replace the leading parameters
+ * passed to the next middleware. Values beyond the number of parameters are ignored. In case of wrapped methods the original method
+ * receives the final parameters.
+ * - 'loop': one after the other, but any value middleware passes to `next`, returns or resolves restarts the chain from the first
+ * middleware. The hook finishes once all middleware has been executed without producing a value.
+ * - 'parallel': all at once, the hook finishes once all middleware has finished or any middleware fails.
+ * Synchronous hooks are always executed in series.
+ * - 'race': all at once, the hook finishes as soon as the first middleware finishes, i.e. succeeds or fails. The remaining middleware
+ * is ignored. When calling the hook, the value produced by the first middleware is passed on.
+ * - 'any': like 'race', but the hook finishes as soon as the first middleware succeeds, and only fails if all middleware fails.
+ * @property {Number} [concurrency=Infinity] - Only applies to the 'parallel' mode: the maximum number of middleware executed at once.
+ * @property {Boolean} [aggregateErrors=false] - Once middleware fails, waits for all running middleware to finish and fails the hook
+ * with an {@link AggregateMiddlewareError} listing all failures, instead of failing with the first error.
+ * Middleware of hooks in 'parallel' mode keeps being executed, and hooks in 'any' mode list all errors if all middleware fails.
+ * @property {Boolean} [critical=true] - Set to `false` to mark all middleware of the hook as non-critical, see {@link middlewareOptions}.critical.
+ * @property {Number} [timeout] - Applies the `timeout` registration option to all middleware of the hook registered without it,
+ * see {@link middlewareOptions}.timeout.
+ * @property {Number} [deadline] - Only applies to unqualified hooks of wrapped asynchronous and thenable methods, e.g. `save`:
+ * fails the wrapped method with a {@link HookTimeoutError} if its `pre` middleware, the method itself and its `post` middleware haven't
+ * finished within `deadline` milliseconds (including any `around` middleware). The error is handled by `error` and `finally`
+ * middleware like any other error; the deadline doesn't cover them, use their `timeout` instead.
+ * The running middleware or method isn't interrupted, but its outcome is ignored.
+ * @property {retryOptions} [retry] - Only applies to unqualified hooks of wrapped asynchronous and thenable methods, e.g. `save`:
+ * executes the original method again when it fails. The middleware isn't executed again.
+ * @property {Number} [maxIterations=100] - Only applies to the 'loop' mode: the maximum number of times the chain is executed,
+ * exceeding it fails the hook.
+ * @property {(Boolean|String)} [collect=false] - Gathers the values middleware passes to `next`, returns or resolves when calling the hook
+ * with {@link GrapplingHook#callHook}, {@link GrapplingHook#callSyncHook} or {@link GrapplingHook#callThenableHook}, which pass them on
+ * as an array, in order of completion for hooks in 'parallel' mode. Middleware not producing a value is left out. Set to `'named'` to gather `{name, value}` objects instead,
+ * named after the `name` registration option or the name of the function. A {@link module:grappling-hook.callContext call context}
+ * with the `collect` option overrides it for a single call.
+ * @example
+ * instance.allowHooks('pre:save', {mode: 'waterfall'});
+ * instance.pre('save', function(doc, options) {
+ *   return _.defaults({}, doc, defaults); // replaces `doc`, `options` is passed on as is
+ * });
+ * @example
+ * instance.allowHooks('pre:validate', {collect: 'named'});
+ * instance.pre('validate', function checkTitle(doc) {
+ *   return 'Missing title';
+ * });
+ * instance.callSyncHook('pre:validate', doc); // [{name: 'checkTitle', value: 'Missing title'}]
+ * @example
+ * //indexes, busts caches and sends webhooks concurrently, at most two at a time
+ * instance.allowHooks('post:save', {mode: 'parallel', concurrency: 2});
+ * @example
+ * instance.allowHooks('pre:resolveAvatar', {mode: 'any'});
+ * instance.pre('resolveAvatar', gravatar, libravatar);
+ * instance.callThenableHook('pre:resolveAvatar', user).then(function(url) {
+ *   //url of the fastest provider
+ * });
+ * @example
+ * instance.allowHooks('pre:resolve', {mode: 'loop', maxIterations: 10});
+ * instance.pre('resolve', function(graph) {
+ *   if (graph.addMissingDependencies()) {
+ *     return true; // run again
+ *   }
+ * });
+ * @example
+ * //each middleware of `pre:save` gets a second, saving as a whole five seconds
+ * instance.allowHooks('pre:save', {timeout: 1000});
+ * instance.allowHooks('save', {deadline: 5000});
+ * @example
+ * instance.addHooks({save: upload});
+ * instance.allowHooks('save', {retry: {attempts: 3, backoff: 'exponential'}});
+ */
+
+/**
+ * Selects middleware by the options it was registered with.
+ * @typedef {Object} middlewareFilter
+ * @property {String} [tag] - matches middleware registered with `tag`, see {@link middlewareOptions}.tags
+ * @example
+ * instance.pre('save', index, {tags: ['plugin:search']});
+ * instance.getMiddleware('pre:save', {tag: 'plugin:search'}); // [index]
+ */
+
 /**
  * @typedef {Object} options
  * @property {Boolean} [strict=true] - Will disallow subscribing to middleware bar the explicitly registered ones.
- * @property {Object} [qualifiers]
+ * @property {(Object|String[])} [qualifiers] - Either an object declaring the `pre` and `post` qualifiers,
+ * or an ordered list of qualifiers. In the latter case all qualifiers preceding `post` (or up to and including `pre` if there's no `post`)
+ * are executed before wrapped methods, the others after.
+ * Middleware registered to the 'around' qualifier wraps the wrapped method, see {@link aroundMiddleware}.
+ * Middleware registered to the 'error' qualifier handles errors of wrapped methods, see {@link errorMiddleware}.
+ * Middleware registered to the 'finally' qualifier is always executed once wrapped methods have finished, see {@link finallyMiddleware}.
+ * Middleware registered to the 'filter' qualifier isn't executed by wrapped methods, but is meant for {@link GrapplingHook#callFilterHook}.
+ * If no qualifiers are configured, the methods of the default 'around', 'error', 'finally' and 'filter' qualifiers aren't added to
+ * objects already having a method of that name, see {@link module:grappling-hook.mixin mixin} and {@link module:grappling-hook.attach attach}.
+ * Middleware can still be registered to them with {@link GrapplingHook#hook}, e.g. `instance.hook('error:save', handle)`.
  * @property {String} [qualifiers.pre='pre'] - Declares the 'pre' qualifier
  * @property {String} [qualifiers.post='post'] - Declares the 'post' qualifier
+ * @property {String} [qualifiers.around] - Declares the 'around' qualifier, defaults to 'around' if no qualifiers are configured.
+ * When configuring an ordered list of qualifiers, 'around' is used as the 'around' qualifier if present.
+ * @property {String} [qualifiers.error] - Declares the 'error' qualifier, defaults to 'error' if no qualifiers are configured.
+ * When configuring an ordered list of qualifiers, 'error' is used as the 'error' qualifier if present.
+ * @property {String} [qualifiers.finally] - Declares the 'finally' qualifier, defaults to 'finally' if no qualifiers are configured.
+ * When configuring an ordered list of qualifiers, 'finally' is used as the 'finally' qualifier if present.
+ * @property {String} [qualifiers.filter] - Declares the 'filter' qualifier, defaults to 'filter' if no qualifiers are configured.
+ * When configuring an ordered list of qualifiers, 'filter' is used as the 'filter' qualifier if present.
  * @property {Function} [createThenable=undefined] - Set a Promise A+ compliant factory function for creating promises.
+ * @property {Boolean} [wrapErrors=false] - Wraps errors of middleware and wrapped methods in a {@link HookError}, which records where
+ * the error occurred.
+ * @property {Function} [onMiddlewareError] - Receives the errors of non-critical middleware, see {@link middlewareOptions}.critical,
+ * followed by an object describing the failing middleware: its qualified `hook`, `index` in the chain, `name` and the `middleware` itself.
+ * An error thrown by `onMiddlewareError` fails the hook.
  * @example
  * //creates a GrapplingHook instance with `before` and `after` hooking
  * var instance = grappling.create({
@@ -55,6 +225,13 @@
  * });
  * instance.before('save', console.log);
  * @example
+ * //creates a GrapplingHook instance with `validate`, `pre`, `post` and `notify` hooking
+ * var instance = grappling.create({
+ *   qualifiers: ['validate', 'pre', 'post', 'notify']
+ * });
+ * instance.validate('save', validate);
+ * instance.notify('save', notify);
+ * @example
  * //creates a GrapplingHook instance with a promise factory
  * var P = require('bluebird');
  * var instance = grappling.create({
@@ -153,21 +330,196 @@ async.eachSeries = function (arr, iterator, callback) {
 	};
 	iterate();
 };
+/**
+ *
+ * @param {[]} arr
+ * @param {number} limit
+ * @param {function} iterator
+ * @param {function} callback
+ * @returns {*}
+ */
+async.eachLimit = function (arr, limit, iterator, callback) {
+	callback = callback || _.noop;
+	if (!arr.length) {
+		return callback();
+	}
+	var completed = 0;
+	var started = 0;
+	var running = 0;
+	var failed = false;
+	var replenish = function replenish() {
+		while (running < limit && started < arr.length && !failed) {
+			started += 1;
+			running += 1;
+			iterator(arr[started - 1], function (err) {
+				if (err) {
+					failed = true;
+					callback(err);
+					callback = _.noop;
+				} else {
+					completed += 1;
+					running -= 1;
+					if (completed >= arr.length) {
+						callback();
+					} else {
+						replenish();
+					}
+				}
+			});
+		}
+	};
+	replenish();
+};
 /*!
  *=====================================
  */
 
 var presets = {};
 
+/**
+ * Qualifiers with a dedicated role, as opposed to the phases executed before and after wrapped methods.
+ * @private
+ */
+var SPECIAL_QUALIFIERS = ['around', 'error', 'finally', 'filter'];
+
+/**
+ * Methods which don't replace existing methods of mixed in objects or attached classes, e.g. `once` of an `EventEmitter`.
+ * @private
+ */
+var OPTIONAL_METHODS = ['once'];
+
+/**
+ * Supported values of {@link hookOptions}.mode.
+ * @private
+ */
+var HOOK_MODES = ['series', 'waterfall', 'loop', 'parallel', 'race', 'any'];
+
+/**
+ * Supported values of {@link retryOptions}.backoff.
+ * @private
+ */
+var RETRY_BACKOFFS = ['fixed', 'exponential'];
+
+/**
+ * Returned by {@link createPhaseStrategy} to restart the iteration over the middleware of hooks in 'loop' mode.
+ * @private
+ */
+var RESTART = {};
+
 function parseHook(hook) {
 	var parsed = hook ? hook.split(':') : [];
 	var n = parsed.length;
+	if (n > 2) {
+		throw new Error('Invalid hook "' + hook + '", use dots to namespace hooks, e.g. "' + parsed[0] + ':' + parsed.slice(1).join('.') + '"');
+	}
 	return {
 		type: parsed[n - 2],
-		name: parsed[n - 1]
+		name: parsed[n - 1],
+		pattern: /[*?]/.test(parsed[n - 1])
 	};
 }
 
+/**
+ * Determines whether qualified `hook` matches the qualified `pattern`, e.g. `post:user.*` matches `post:user.save`.
+ * `*` matches any sequence of characters, `?` matches a single character.
+ * @param {String} pattern
+ * @param {String} hook
+ * @returns {boolean}
+ * @private
+ */
+function matchesPattern(pattern, hook) {
+	var patternObj = parseHook(pattern);
+	var hookObj = parseHook(hook);
+	if (patternObj.type !== hookObj.type) {
+		return false;
+	}
+	var source = _.escapeRegExp(patternObj.name).replace(/\\\*/g, '.*').replace(/\\\?/g, '.');
+	return new RegExp('^' + source + '$').test(hookObj.name);
+}
+
+/**
+ * Retrieves the parent namespaces of qualified `hook`, closest first, e.g. `pre:user.profile` and `pre:user` for `pre:user.profile.save`.
+ * @param {String} hook
+ * @returns {String[]}
+ * @private
+ */
+function getParentHooks(hook) {
+	var hookObj = parseHook(hook);
+	var parts = hookObj.name.split('.');
+	var parents = [];
+	for (var i = parts.length - 1; i > 0; i--) {
+		parents.push(hookObj.type + ':' + parts.slice(0, i).join('.'));
+	}
+	return parents;
+}
+
+/**
+ * Retrieves the registry `hook` is stored in: hook patterns are stored separately from the declared hooks.
+ * @param cache - grappling-hook cache
+ * @param {String} hook
+ * @returns {Object}
+ * @private
+ */
+function getRegistry(cache, hook) {
+	return parseHook(hook).pattern ? cache.patterns : cache.middleware;
+}
+
+/**
+ * Retrieves the {@link hookOptions} `hook` was declared with.
+ * @param cache - grappling-hook cache
+ * @param {String} hook - qualified hook
+ * @returns {hookOptions}
+ * @private
+ */
+function getHookOptions(cache, hook) {
+	return cache.hookopts[hook] || {};
+}
+
+/**
+ * Determines whether `hook` was declared or is a parent namespace of a declared hook,
+ * or in case of a pattern whether it matches any declared hook.
+ * @param cache - grappling-hook cache
+ * @param {String} hook
+ * @returns {boolean}
+ * @private
+ */
+function isDeclared(cache, hook) {
+	if (parseHook(hook).pattern) {
+		return _.some(_.keys(cache.middleware), function (declared) {
+			return matchesPattern(hook, declared);
+		});
+	}
+	return !!cache.middleware[hook] || _.some(_.keys(cache.middleware), function (declared) {
+		return _.includes(getParentHooks(declared), hook);
+	});
+}
+
+/**
+ * Throws an error if `retry` isn't a valid {@link retryOptions} object.
+ * @param {retryOptions} [retry]
+ * @private
+ */
+function validateRetry(retry) {
+	if (_.isUndefined(retry)) {
+		return;
+	}
+	if (!_.isPlainObject(retry)) {
+		throw new Error('Retry options should be an object, not "' + retry + '"');
+	}
+	if (!_.isUndefined(retry.attempts) && !(_.isInteger(retry.attempts) && retry.attempts > 0)) {
+		throw new Error('Retry option `attempts` should be a positive integer, not "' + retry.attempts + '"');
+	}
+	if (!_.isUndefined(retry.backoff) && !_.includes(RETRY_BACKOFFS, retry.backoff)) {
+		throw new Error('Only "' + RETRY_BACKOFFS.join('", "') + '" backoffs are allowed, not "' + retry.backoff + '"');
+	}
+	if (!_.isUndefined(retry.delay) && !(_.isNumber(retry.delay) && retry.delay >= 0)) {
+		throw new Error('Retry option `delay` should be a non-negative number, not "' + retry.delay + '"');
+	}
+	if (!_.isUndefined(retry.retryOn) && !_.isFunction(retry.retryOn)) {
+		throw new Error('Retry option `retryOn` should be a function');
+	}
+}
+
 /**
  *
  * @param instance - grappling-hook instance
@@ -178,20 +530,264 @@ function parseHook(hook) {
 function addMiddleware(instance, hook, args) {
 	var cache = instance.__grappling;
 	var mwOpts = {
-		passParams: true
+		passParams: true,
+		priority: 0
 	};
 	if (_.isPlainObject(args[args.length - 1])) {
 		mwOpts = _.defaults(args.pop(), mwOpts);
 	}
 	var fns = _.flatten(args);
-	var mw = [];
-	if (!cache.middleware[hook]) {
-		if (cache.opts.strict) throw new Error('Hooks for ' + hook + ' are not supported.');
-	} else {
-		mw = cache.middleware[hook];
+	var registry = getRegistry(cache, hook);
+	if (cache.opts.strict && !isDeclared(cache, hook)) {
+		throw new Error('Hooks for ' + hook + ' are not supported.');
+	}
+	var mw = registry[hook] || [];
+	if (!_.isNumber(mwOpts.priority)) {
+		throw new Error('Middleware priority should be a number, not "' + mwOpts.priority + '"');
+	}
+	if (!_.isUndefined(mwOpts.times) && !(_.isInteger(mwOpts.times) && mwOpts.times > 0)) {
+		throw new Error('Middleware times should be a positive integer, not "' + mwOpts.times + '"');
+	}
+	if (!_.isUndefined(mwOpts.timeout) && !(_.isNumber(mwOpts.timeout) && mwOpts.timeout > 0)) {
+		throw new Error('Middleware timeout should be a positive number, not "' + mwOpts.timeout + '"');
+	}
+	validateRetry(mwOpts.retry);
+	if (mwOpts.name) {
+		if (fns.length > 1) {
+			throw new Error('Only a single middleware can be registered as "' + mwOpts.name + '"');
+		}
+		if (_.some(mw, { name: mwOpts.name })) {
+			throw new Error('Middleware "' + mwOpts.name + '" is already registered for ' + hook);
+		}
 	}
-	cache.middleware[hook] = mw.concat(fns);
+	var entries = _.map(fns, function (fn) {
+		return {
+			fn: fn,
+			priority: mwOpts.priority,
+			name: mwOpts.name,
+			before: _.castArray(mwOpts.before || []),
+			after: _.castArray(mwOpts.after || []),
+			times: mwOpts.times,
+			tags: _.castArray(mwOpts.tags || []),
+			passResult: !!mwOpts.passResult,
+			critical: mwOpts.critical !== false,
+			timeout: mwOpts.timeout,
+			retry: mwOpts.retry,
+			callContext: !!mwOpts.callContext,
+			enabled: true,
+			sequence: cache.sequence++,
+			detach: function detach() {
+				registry[hook] = _.without(registry[hook], this);
+			}
+		};
+	});
+	registry[hook] = mw.concat(entries);
 	cache.mwopts[hook] = mwOpts;
+	return entries;
+}
+
+/**
+ * Returned by {@link GrapplingHook#pre}, {@link GrapplingHook#post} and {@link GrapplingHook#hook} when middleware is registered
+ * with the `handle` option. Allows managing the registered middleware without keeping references to the functions around.
+ * All methods return the handle itself.
+ * @typedef {Object} registrationHandle
+ * @property {Function} remove - deregisters the middleware
+ * @property {Function} disable - temporarily skips the middleware when the hook is called
+ * @property {Function} enable - re-enables disabled middleware
+ * @property {Function} replace - replaces the middleware with the passed middleware, retaining its options and position
+ * @example
+ * var handle = instance.pre('save', function(){
+ *   console.log('before saving');
+ * }, {handle: true});
+ * handle.disable();
+ * handle.enable();
+ * handle.remove();
+ */
+function createHandle(instance, hook, entries) {
+	var registry = getRegistry(instance.__grappling, hook);
+	return {
+		remove: function remove() {
+			registry[hook] = _.difference(registry[hook], entries);
+			return this;
+		},
+		disable: function disable() {
+			_.forEach(entries, function (entry) {
+				entry.enabled = false;
+			});
+			return this;
+		},
+		enable: function enable() {
+			_.forEach(entries, function (entry) {
+				entry.enabled = true;
+			});
+			return this;
+		},
+		replace: function replace() {
+			var fns = _.flatten(_.toArray(arguments));
+			var template = entries[0];
+			if (template.name && fns.length > 1) {
+				throw new Error('Only a single middleware can be registered as "' + template.name + '"');
+			}
+			var replacements = _.map(fns, function (fn) {
+				return _.defaults({ fn: fn }, template);
+			});
+			var mw = registry[hook] || [];
+			var index = _.findIndex(mw, function (entry) {
+				return _.includes(entries, entry);
+			});
+			if (index >= 0) {
+				var remaining = _.difference(mw, entries);
+				remaining.splice.apply(remaining, [index, 0].concat(replacements));
+				registry[hook] = remaining;
+			}
+			entries = replacements;
+			return this;
+		}
+	};
+}
+
+/**
+ * Registers middleware passed to `pre`, `post` and `hook`.
+ * @param instance - grappling-hook instance
+ * @param hook - qualified hook
+ * @param args - middleware, optionally followed by {@link middlewareOptions}
+ * @returns {GrapplingHook|thenable|registrationHandle}
+ * @private
+ */
+function registerMiddleware(instance, hook, args) {
+	var mwOpts = _.isPlainObject(_.last(args)) ? _.last(args) : {};
+	if (_.without(args, mwOpts).length) {
+		var entries = addMiddleware(instance, hook, args);
+		return mwOpts.handle ? createHandle(instance, hook, entries) : instance;
+	}
+	var resolve = void 0;
+	var output = instance.__grappling.opts.createThenable(function (succeed) {
+		resolve = succeed;
+	});
+	addMiddleware(instance, hook, [resolve].concat(args));
+	return output;
+}
+
+/**
+ * Determines whether middleware `entry` matches `filter`.
+ * @param {Object} entry
+ * @param {middlewareFilter} filter
+ * @returns {boolean}
+ * @private
+ */
+function matchesFilter(entry, filter) {
+	return _.isUndefined(filter.tag) || _.includes(entry.tags, filter.tag);
+}
+
+function describeEntry(entry) {
+	return '"' + (entry.name || entry.fn.name || 'anonymous') + '"';
+}
+
+/**
+ * Topologically sorts `entries` according to their `before` and `after` constraints.
+ * Entries without constraints between them keep their relative order.
+ * @param {String} hook - qualified hook, used in error messages
+ * @param {Object[]} entries
+ * @param {Object[]} [inherited] - entries registered to patterns or parent namespaces, their constraints referring to middleware
+ * that isn't registered for `hook` are ignored
+ * @returns {Object[]}
+ * @private
+ */
+function sortByConstraints(hook, entries, inherited) {
+	var index = {};
+	_.forEach(entries, function (entry, i) {
+		if (entry.name) {
+			index[entry.name] = i;
+		}
+	});
+	var lookup = function lookup(entry, name) {
+		if (!_.has(index, name) && _.includes(inherited, entry)) {
+			return -1;
+		}
+		if (!_.has(index, name)) {
+			throw new Error('Middleware ' + describeEntry(entry) + ' of ' + hook + ' refers to unknown middleware "' + name + '"');
+		}
+		return index[name];
+	};
+	//dependencies[i] holds the indexes of all entries that need to be executed before entries[i]
+	var dependencies = _.map(entries, function () {
+		return [];
+	});
+	_.forEach(entries, function (entry, i) {
+		_.forEach(entry.after, function (name) {
+			var dependency = lookup(entry, name);
+			if (dependency >= 0) {
+				dependencies[i].push(dependency);
+			}
+		});
+		_.forEach(entry.before, function (name) {
+			var dependent = lookup(entry, name);
+			if (dependent >= 0) {
+				dependencies[dependent].push(i);
+			}
+		});
+	});
+	var sorted = [];
+	var visited = [];
+	while (sorted.length < entries.length) {
+		var i = _.findIndex(entries, function (entry, i) {
+			return !visited[i] && _.every(dependencies[i], function (dependency) {
+				return visited[dependency];
+			});
+		});
+		if (i < 0) {
+			var cyclic = _.filter(entries, function (entry, i) {
+				return !visited[i];
+			});
+			throw new Error('Cyclic ordering constraints for ' + hook + ' between middleware ' + _.map(cyclic, describeEntry).join(', '));
+		}
+		visited[i] = true;
+		sorted.push(entries[i]);
+	}
+	return sorted;
+}
+
+/**
+ * Retrieves the middleware entries registered to `hook`, including those registered to matching patterns and parent namespaces,
+ * in execution order, i.e. sorted by descending priority and subsequently by their `before` and `after` constraints.
+ * Entries with equal priority are executed bubbling up, i.e. those registered to parent namespaces after those registered to `hook`,
+ * and otherwise keep their registration order. Constraints of entries registered to patterns or parent namespaces referring to
+ * middleware that isn't registered for `hook` are ignored.
+ * @param instance - grappling-hook instance
+ * @param hook - qualified hook
+ * @returns {Object[]}
+ * @private
+ */
+function resolveMiddleware(instance, hook) {
+	var hookObj = qualifyHook(parseHook(hook));
+	var cache = instance.__grappling;
+	var distances = {};
+	var entries = getRegistry(cache, hook)[hook] || [];
+	var inherited = hookObj.pattern ? entries : [];
+	if (!hookObj.pattern) {
+		_.forEach(cache.patterns, function (patternEntries, pattern) {
+			if (matchesPattern(pattern, hook)) {
+				inherited = inherited.concat(patternEntries);
+			}
+		});
+		_.forEach(getParentHooks(hook), function (parent, i) {
+			var parentEntries = cache.middleware[parent] || [];
+			_.forEach(parentEntries, function (entry) {
+				distances[entry.sequence] = i + 1;
+			});
+			inherited = inherited.concat(parentEntries);
+		});
+		entries = entries.concat(inherited);
+	}
+	var sorted = _.sortBy(entries, [function (entry) {
+		return -entry.priority;
+	}, function (entry) {
+		return distances[entry.sequence] || 0;
+	}, 'sequence']);
+	var ordered = _.some(sorted, function (entry) {
+		return entry.before.length || entry.after.length;
+	}) ? sortByConstraints(hook, sorted, inherited) : sorted;
+	return _.filter(ordered, 'enabled');
 }
 
 function attachQualifier(instance, qualifier) {
@@ -203,11 +799,18 @@ function attachQualifier(instance, qualifier) {
   * @memberof GrapplingHook
   * @param {string} hook - hook name, e.g. `'save'`
   * @param {(...middleware|middleware[])} [middleware] - middleware to register
-  * @returns {GrapplingHook|thenable} the {@link GrapplingHook} instance itself, or a {@link thenable} if no middleware was provided.
+  * @param {middlewareOptions} [options] - registration options
+  * @returns {GrapplingHook|thenable|registrationHandle} the {@link GrapplingHook} instance itself, a {@link thenable} if no middleware was provided,
+  * or a {@link registrationHandle} if the `handle` option was set.
   * @example
   * instance.pre('save', function(){
   *   console.log('before saving');
   * });
+  * @example
+  * //runs before any middleware registered with a lower priority
+  * instance.pre('save', function(){
+  *   console.log('before saving, first');
+  * }, {priority: 10});
   * @see {@link GrapplingHook#post} for registering middleware functions to `post` hooks.
   */
 	/**
@@ -218,31 +821,102 @@ function attachQualifier(instance, qualifier) {
   * @memberof GrapplingHook
   * @param {string} hook - hook name, e.g. `'save'`
   * @param {(...middleware|middleware[])} [middleware] - middleware to register
-  * @returns {GrapplingHook|thenable} the {@link GrapplingHook} instance itself, or a {@link thenable} if no middleware was provided.
+  * @param {middlewareOptions} [options] - registration options
+  * @returns {GrapplingHook|thenable|registrationHandle} the {@link GrapplingHook} instance itself, a {@link thenable} if no middleware was provided,
+  * or a {@link registrationHandle} if the `handle` option was set.
   * @example
   * instance.post('save', function(){
   *   console.log('after saving');
   * });
   * @see {@link GrapplingHook#pre} for registering middleware functions to `post` hooks.
+  */
+	/**
+  * Registers `middleware` to be executed _around_ the original method of wrapped method `hook`.
+  * This is a dynamically added method, that may not be present if otherwise configured in {@link options}.qualifiers.
+  * @method around
+  * @since 4.0.0
+  * @instance
+  * @memberof GrapplingHook
+  * @param {string} hook - hook name, e.g. `'save'`
+  * @param {(...aroundMiddleware|aroundMiddleware[])} [middleware] - middleware to register
+  * @param {middlewareOptions} [options] - registration options
+  * @returns {GrapplingHook|registrationHandle} the {@link GrapplingHook} instance itself,
+  * or a {@link registrationHandle} if the `handle` option was set.
+  * @example
+  * instance.around('save', function(doc, proceed, next){
+  *   db.transaction(function(commit){
+  *     proceed(function(err, result){
+  *       commit(function(){
+  *         next(err, result);
+  *       });
+  *     });
+  *   });
+  * });
+  * @see {@link aroundMiddleware}
+  */
+	/**
+  * Registers `middleware` to be executed when wrapped method `hook` fails.
+  * This is a dynamically added method, that may not be present if otherwise configured in {@link options}.qualifiers.
+  * @method error
+  * @since 4.0.0
+  * @instance
+  * @memberof GrapplingHook
+  * @param {string} hook - hook name, e.g. `'save'`
+  * @param {(...errorMiddleware|errorMiddleware[])} [middleware] - middleware to register
+  * @param {middlewareOptions} [options] - registration options
+  * @returns {GrapplingHook|registrationHandle} the {@link GrapplingHook} instance itself,
+  * or a {@link registrationHandle} if the `handle` option was set.
+  * @example
+  * instance.error('save', function(err, doc){
+  *   logger.error('Saving failed', err);
+  * });
+  * @see {@link errorMiddleware}
+  */
+	/**
+  * Registers `middleware` to be executed once wrapped method `hook` has finished, whether it succeeded or failed.
+  * This is a dynamically added method, that may not be present if otherwise configured in {@link options}.qualifiers.
+  * @method finally
+  * @since 4.0.0
+  * @instance
+  * @memberof GrapplingHook
+  * @param {string} hook - hook name, e.g. `'save'`
+  * @param {(...finallyMiddleware|finallyMiddleware[])} [middleware] - middleware to register
+  * @param {middlewareOptions} [options] - registration options
+  * @returns {GrapplingHook|registrationHandle} the {@link GrapplingHook} instance itself,
+  * or a {@link registrationHandle} if the `handle` option was set.
+  * @example
+  * instance.finally('query', function(err, result, query){
+  *   query.connection.release();
+  * });
+  * @see {@link finallyMiddleware}
+  */
+	/**
+  * Registers `middleware` to filter values passed to {@link GrapplingHook#callFilterHook} for `hook`.
+  * This is a dynamically added method, that may not be present if otherwise configured in {@link options}.qualifiers.
+  * @method filter
+  * @since 4.0.0
+  * @instance
+  * @memberof GrapplingHook
+  * @param {string} hook - hook name, e.g. `'title'`
+  * @param {(...middleware|middleware[])} [middleware] - middleware to register
+  * @param {middlewareOptions} [options] - registration options
+  * @returns {GrapplingHook|thenable|registrationHandle} the {@link GrapplingHook} instance itself, a {@link thenable} if no middleware was provided,
+  * or a {@link registrationHandle} if the `handle` option was set.
+  * @example
+  * instance.filter('title', function(title){
+  *   return title.toUpperCase();
+  * });
   */
 	instance[qualifier] = function () {
-		var fns = _.toArray(arguments);
-		var hookName = fns.shift();
-		var output = void 0;
-		if (fns.length) {
-			//old skool way with callbacks
-			output = this;
-		} else {
-			output = this.__grappling.opts.createThenable(function (resolve) {
-				fns = [resolve];
-			});
-		}
-		addMiddleware(this, qualifier + ':' + hookName, fns);
-		return output;
+		var args = _.toArray(arguments);
+		var hookName = args.shift();
+		return registerMiddleware(this, qualifier + ':' + hookName, args);
 	};
 }
 
 function init(name, opts) {
+	var _this = this;
+
 	if (arguments.length === 1 && _.isObject(name)) {
 		opts = name;
 		name = undefined;
@@ -253,21 +927,80 @@ function init(name, opts) {
 	}
 	this.__grappling = {
 		middleware: {},
+		patterns: {},
+		sequence: 0,
 		mwopts: {},
+		hookopts: {},
 		opts: _.defaults({}, opts, presets, {
 			strict: true,
 			qualifiers: {
 				pre: 'pre',
-				post: 'post'
+				around: 'around',
+				post: 'post',
+				error: 'error',
+				finally: 'finally',
+				filter: 'filter'
 			},
 			createThenable: function createThenable() {
 				throw new Error('Instance not set up for thenable creation, please set `opts.createThenable`');
 			}
 		})
 	};
-	var q = this.__grappling.opts.qualifiers;
-	attachQualifier(this, q.pre);
-	attachQualifier(this, q.post);
+	this.__grappling.phases = parseQualifiers(this.__grappling.opts.qualifiers);
+	var configured = !_.isUndefined(_.get(opts, 'qualifiers')) || !_.isUndefined(_.get(presets, 'qualifiers'));
+	_.forEach(getQualifiers(this.__grappling), function (qualifier) {
+		if (!configured && _.includes(SPECIAL_QUALIFIERS, qualifier) && !_.isUndefined(_this[qualifier])) {
+			//the default special qualifiers don't replace existing methods of mixed in objects or attached classes
+			return;
+		}
+		attachQualifier(_this, qualifier);
+	});
+}
+
+/**
+ * Splits the configured qualifiers into the phases executed before and after wrapped methods.
+ * @param {(Object|String[])} qualifiers - see {@link options}.qualifiers
+ * @returns {{before: String[], after: String[], around: String, error: String, finally: String, filter: String}}
+ * @private
+ */
+function parseQualifiers(qualifiers) {
+	if (!_.isArray(qualifiers)) {
+		return _.assign({
+			before: [qualifiers.pre],
+			after: [qualifiers.post]
+		}, _.pick(qualifiers, SPECIAL_QUALIFIERS));
+	}
+	if (!_.every(qualifiers, _.isString) || _.uniq(qualifiers).length !== qualifiers.length) {
+		throw new Error('Qualifiers should be unique Strings');
+	}
+	var phases = {};
+	_.forEach(_.intersection(SPECIAL_QUALIFIERS, qualifiers), function (qualifier) {
+		phases[qualifier] = qualifier;
+	});
+	qualifiers = _.difference(qualifiers, SPECIAL_QUALIFIERS);
+	var split = qualifiers.indexOf('post');
+	if (split < 0 && qualifiers.indexOf('pre') >= 0) {
+		split = qualifiers.indexOf('pre') + 1;
+	}
+	if (split < 0) {
+		throw new Error('Qualifiers should contain "pre" and/or "post" to determine when wrapped methods are called');
+	}
+	phases.before = qualifiers.slice(0, split);
+	phases.after = qualifiers.slice(split);
+	return phases;
+}
+
+/**
+ * Retrieves all qualifiers in order of execution.
+ * @param cache - grappling-hook cache
+ * @returns {String[]}
+ * @private
+ */
+function getQualifiers(cache) {
+	var phases = cache.phases;
+	return phases.before.concat(_.compact(_.map(SPECIAL_QUALIFIERS, function (qualifier) {
+		return phases[qualifier];
+	})), phases.after);
 }
 
 /*
@@ -290,206 +1023,1352 @@ function dezalgofy(fn, done) {
 	}
 }
 
-function iterateAsyncMiddleware(context, middleware, args, done) {
-	done = done || function (err) {
-		/* istanbul ignore next: untestable */
-		if (err) {
-			throw err;
-		}
-	};
-	var asyncFinished = false;
-	var waiting = [];
-	var wait = function wait(callback) {
-		waiting.push(callback);
-		return function (err) {
-			waiting.splice(waiting.indexOf(callback), 1);
+/**
+ * Counts an invocation of middleware `entry` and detaches it once it has been invoked the configured number of `times`.
+ * @param {Object} entry
+ * @returns {boolean} whether the middleware may be invoked
+ * @private
+ */
+function consume(entry) {
+	if (_.isUndefined(entry.times)) {
+		return true;
+	}
+	if (entry.times < 1) {
+		//already used up by a concurrently running chain
+		return false;
+	}
+	entry.times -= 1;
+	if (!entry.times) {
+		entry.detach();
+	}
+	return true;
+}
+
+/**
+ * Wraps the value passed to {@link module:grappling-hook.bail bail}.
+ * @param {*} value
+ * @constructor
+ * @private
+ */
+function Bail(value) {
+	this.value = value;
+}
+
+/**
+ * Wraps the options passed to {@link module:grappling-hook.callContext callContext}.
+ * @param {Object} [options]
+ * @constructor
+ * @private
+ */
+function CallContext(options) {
+	_.assign(this, options);
+}
+
+/**
+ * Takes the {@link module:grappling-hook.callContext call context} out of the parameters passed to a hook, so neither the
+ * middleware nor the wrapped method receive it unless asked for, see {@link middlewareOptions}.
+ * @param {Array} args - parameters passed to the hook
+ * @returns {{args: Array, callContext: CallContext}} the remaining parameters and the call context, an empty one if none was passed
+ * @private
+ */
+function createCallState(args) {
+	var split = _.partition(args, function (arg) {
+		return arg instanceof CallContext;
+	});
+	return {
+		args: split[1],
+		callContext: split[0][0] || new CallContext()
+	};
+}
+
+/**
+ * Passed on by hooks declared with the `aggregateErrors` option, see {@link hookOptions}, when any of their middleware fails.
+ * Lists all failures, including those of parallel middleware that failed after the first failure.
+ * @class
+ * @param {String} hook - qualified hook
+ * @param {Object[]} failures - the failing middleware `entry` and its `error`, in order of occurrence
+ * @property {String} hook - qualified hook
+ * @property {Error[]} errors - errors, in order of occurrence
+ * @property {middleware[]} middleware - failing middleware, in the same order as `errors`
+ * @example
+ * instance.allowHooks('post:save', {mode: 'parallel', aggregateErrors: true});
+ * instance.callHook('post:save', doc, function(err) {
+ *   if (err instanceof grappling.AggregateMiddlewareError) {
+ *     err.errors.forEach(report);
+ *   }
+ * });
+ */
+function AggregateMiddlewareError(hook, failures) {
+	this.name = 'AggregateMiddlewareError';
+	this.message = failures.length + ' middleware of ' + hook + ' failed: ' + _.map(failures, function (failure) {
+		return describeEntry(failure.entry) + ' (' + failure.error.message + ')';
+	}).join(', ');
+	this.hook = hook;
+	this.errors = _.map(failures, 'error');
+	this.middleware = _.map(failures, function (failure) {
+		return failure.entry.fn;
+	});
+	this.stack = new Error(this.message).stack;
+}
+AggregateMiddlewareError.prototype = Object.create(Error.prototype);
+AggregateMiddlewareError.prototype.constructor = AggregateMiddlewareError;
+
+/**
+ * Wraps errors of middleware and wrapped methods of instances created with the `wrapErrors` option, see {@link options},
+ * recording where the error occurred.
+ * @class
+ * @param {*} cause - the original error
+ * @param {String} hook - qualified hook of the failing middleware, or the name of the failing wrapped method
+ * @param {Number} [index] - position of the failing middleware in the chain
+ * @param {Object} [entry] - the failing middleware entry
+ * @property {String} code - always 'ERR_HOOK'
+ * @property {String} hook - qualified hook of the failing middleware, e.g. `pre:save`, or the name of the failing wrapped method, e.g. `save`
+ * @property {String} phase - qualifier of the failing middleware, e.g. `pre`, or `method` if the original method of a wrapped method failed
+ * @property {Number} [index] - position of the failing middleware in the chain of `hook`
+ * @property {middleware} [middleware] - the failing middleware
+ * @property {String} [middlewareName] - name of the failing middleware, i.e. its `name` registration option or the name of the function
+ * @property {*} cause - the original error
+ * @example
+ * var instance = grappling.create({wrapErrors: true});
+ * instance.save(doc, function(err) {
+ *   console.log(err.code, err.hook, err.index, err.middlewareName, err.cause);
+ * });
+ */
+function HookError(cause, hook, index, entry) {
+	var hookObj = parseHook(hook);
+	var location = entry ? 'Middleware #' + index + ' ' + describeEntry(entry) + ' of ' + hook : hook;
+	this.name = 'HookError';
+	this.code = 'ERR_HOOK';
+	this.hook = hook;
+	this.phase = hookObj.type || 'method';
+	this.index = index;
+	this.middleware = entry && entry.fn;
+	this.middlewareName = entry && (entry.name || entry.fn.name) || undefined;
+	this.cause = cause;
+	this.message = location + ' failed: ' + (cause && cause.message || cause);
+	this.stack = new Error(this.message).stack;
+}
+HookError.prototype = Object.create(Error.prototype);
+HookError.prototype.constructor = HookError;
+
+/**
+ * Passed on when middleware exceeds its `timeout`, see {@link middlewareOptions}, or a wrapped method exceeds its `deadline`,
+ * see {@link hookOptions}.
+ * @class
+ * @param {String} hook - qualified hook of the stuck middleware, or the name of the wrapped method
+ * @param {Number} timeout - the exceeded timeout or deadline, in milliseconds
+ * @param {Number} [index] - position of the stuck middleware in the chain
+ * @param {Object} [entry] - the stuck middleware entry
+ * @property {String} code - always 'ERR_HOOK_TIMEOUT'
+ * @property {String} hook - qualified hook of the stuck middleware, e.g. `pre:save`, or the name of the wrapped method, e.g. `save`
+ * @property {Number} timeout - the exceeded timeout or deadline, in milliseconds
+ * @property {Number} [index] - position of the stuck middleware in the chain of `hook`
+ * @property {middleware} [middleware] - the stuck middleware
+ * @property {String} [middlewareName] - name of the stuck middleware, i.e. its `name` registration option or the name of the function
+ * @example
+ * instance.pre('save', syncSearchIndex, {timeout: 1000});
+ * instance.save(doc, function(err) {
+ *   if (err instanceof grappling.HookTimeoutError) {
+ *     console.log(err.message); // Middleware #0 "syncSearchIndex" of pre:save timed out after 1000ms
+ *   }
+ * });
+ */
+function HookTimeoutError(hook, timeout, index, entry) {
+	var location = entry ? 'Middleware #' + index + ' ' + describeEntry(entry) + ' of ' + hook : hook;
+	this.name = 'HookTimeoutError';
+	this.code = 'ERR_HOOK_TIMEOUT';
+	this.hook = hook;
+	this.timeout = timeout;
+	this.index = index;
+	this.middleware = entry && entry.fn;
+	this.middlewareName = entry && (entry.name || entry.fn.name) || undefined;
+	this.message = location + ' timed out after ' + timeout + 'ms';
+	this.stack = new Error(this.message).stack;
+}
+HookTimeoutError.prototype = Object.create(Error.prototype);
+HookTimeoutError.prototype.constructor = HookTimeoutError;
+
+/**
+ * Passed on when the `AbortSignal` of the {@link module:grappling-hook.callContext call context} passed to a hook aborts.
+ * @class
+ * @param {String} hook - qualified hook, or the name of the wrapped method
+ * @param {*} [reason] - the reason of the signal
+ * @property {String} code - always 'ERR_HOOK_ABORTED'
+ * @property {String} hook - qualified hook, e.g. `pre:save`, or the name of the wrapped method, e.g. `save`
+ * @property {*} cause - the reason of the signal
+ * @example
+ * instance.save(doc, grappling.callContext({signal: controller.signal}), function(err) {
+ *   if (err instanceof grappling.HookAbortError) {
+ *     console.log(err.message); // save was aborted
+ *   }
+ * });
+ */
+function HookAbortError(hook, reason) {
+	this.name = 'HookAbortError';
+	this.code = 'ERR_HOOK_ABORTED';
+	this.hook = hook;
+	this.cause = reason;
+	this.message = hook + ' was aborted';
+	this.stack = new Error(this.message).stack;
+}
+HookAbortError.prototype = Object.create(Error.prototype);
+HookAbortError.prototype.constructor = HookAbortError;
+
+/**
+ * Creates a {@link HookAbortError} if `signal` aborted.
+ * @param {AbortSignal} [signal]
+ * @param {String} hook
+ * @returns {HookAbortError|undefined}
+ * @private
+ */
+function checkSignal(signal, hook) {
+	if (signal && signal.aborted) {
+		return new HookAbortError(hook, signal.reason);
+	}
+}
+
+/**
+ * Calls `callback` with a {@link HookAbortError} as soon as `signal` aborts, or right away if it already aborted.
+ * Calls after the first are ignored.
+ * @param {Function} callback
+ * @param {AbortSignal} [signal] - `callback` is returned as is without a signal
+ * @param {String} hook
+ * @returns {Function}
+ * @private
+ */
+function abortable(callback, signal, hook) {
+	if (!signal) {
+		return callback;
+	}
+	var abort = function abort() {
+		limited(checkSignal(signal, hook)); //eslint-disable-line no-use-before-define
+	};
+	var limited = _.once(function () {
+		signal.removeEventListener('abort', abort);
+		callback.apply(null, arguments);
+	});
+	signal.addEventListener('abort', abort);
+	if (signal.aborted) {
+		abort();
+	}
+	return limited;
+}
+
+/**
+ * Limits the time `callback` may take to be called, calling it with the error created by `createError` once `timeout`
+ * milliseconds have passed. Calls after the first are ignored.
+ * @param {Function} callback
+ * @param {Number} [timeout] - `callback` is returned as is without a timeout
+ * @param {Function} createError
+ * @returns {Function} its `fired` property is set once it has been called
+ * @private
+ */
+function limitTime(callback, timeout, createError) {
+	if (!timeout) {
+		return callback;
+	}
+	var limited = _.once(function () {
+		clearTimeout(timer); //eslint-disable-line no-use-before-define
+		limited.fired = true;
+		callback.apply(null, arguments);
+	});
+	var timer = setTimeout(function () {
+		limited(createError());
+	}, timeout);
+	return limited;
+}
+
+/**
+ * Limits the time middleware `entry` may take to finish to its `timeout`, or the `timeout` of the iteration `strategy`.
+ * @param {Function} callback
+ * @param {Object} entry
+ * @param {Object[]} middleware - middleware entries, to determine the position of `entry`
+ * @param {Object} strategy - see {@link iterateAsyncMiddleware}
+ * @returns {Function}
+ * @private
+ */
+function limitMiddleware(callback, entry, middleware, strategy) {
+	var timeout = entry.timeout || strategy.timeout;
+	return limitTime(callback, timeout, function () {
+		return new HookTimeoutError(strategy.hook, timeout, middleware.indexOf(entry), entry);
+	});
+}
+
+/**
+ * Calls `attempt` with a callback, and calls it again as long as it passes an error to the callback and `retry` allows
+ * another attempt. The outcome of the final attempt is passed to `callback`. An error thrown by `attempt` fails the attempt.
+ * @param {retryOptions} [retry] - `attempt` is called once without retry options
+ * @param {Function} attempt - receives the callback
+ * @param {Function} callback
+ * @param {AbortSignal} [signal] - no further attempts are made once it aborted, `callback` receives a {@link HookAbortError}
+ * @param {String} hook - qualified hook, or the name of the wrapped method
+ * @param {Function} [limited=callback] - callback limited by {@link limitTime}, no further attempts are made once it fired
+ * @private
+ */
+function retryable(retry, attempt, callback, signal, hook, limited) {
+	if (!retry) {
+		return attempt(callback);
+	}
+	retry = _.defaults({}, retry, {
+		attempts: 3,
+		backoff: 'fixed',
+		delay: 100,
+		retryOn: _.constant(true)
+	});
+	limited = limited || callback;
+	var attempts = 0;
+	var run = function run() {
+		var finished = false;
+		var next = function next(err) {
+			if (finished) {
+				return;
+			}
+			finished = true;
+			if (!err || attempts >= retry.attempts || !retry.retryOn(err) || limited.fired) {
+				return callback.apply(null, arguments);
+			}
+			var delay = retry.backoff === 'exponential' ? retry.delay * Math.pow(2, attempts - 1) : retry.delay;
+			setTimeout(function () {
+				if (limited.fired) {
+					//the timeout already failed the hook
+					return;
+				}
+				var aborted = checkSignal(signal, hook);
+				if (aborted) {
+					return callback(aborted);
+				}
+				run();
+			}, delay);
+		};
+		attempts += 1;
+		try {
+			attempt(next);
+		} catch (e) {
+			if (finished) {
+				throw e;
+			}
+			next(e);
+		}
+	};
+	run();
+}
+
+/**
+ * Wraps `err` in a {@link HookError} if `options.wrapErrors` is set.
+ * @param {{wrapErrors: Boolean}} options - instance options or iteration strategy
+ * @param {*} err
+ * @param {String} hook - see {@link HookError}
+ * @param {Number} [index]
+ * @param {Object} [entry]
+ * @returns {*}
+ * @private
+ */
+function wrapError(options, err, hook, index, entry) {
+	return err && options.wrapErrors ? new HookError(err, hook, index, entry) : err;
+}
+
+function toValues(result) {
+	return _.isUndefined(result) ? [] : [result];
+}
+
+/**
+ * Retrieves the values passed to a `next` callback after the error. Trailing `undefined` values are dropped, i.e. passing
+ * `undefined` doesn't produce a value, just like returning `undefined`, see {@link toValues}.
+ * @param {Arguments} args - arguments passed to the callback
+ * @returns {Array}
+ * @private
+ */
+function callbackValues(args) {
+	return _.dropRightWhile(_.tail(_.toArray(args)), _.isUndefined);
+}
+
+/**
+ * Invokes serial, sync or thenable middleware `fn` and passes the error and the values it produced to `callback`,
+ * i.e. the values passed to `next` after the error, or the value it returned or resolved (if any).
+ * @param context
+ * @param {Function} fn
+ * @param {Array} args
+ * @param {Function} callback
+ * @private
+ */
+function invokeMiddleware(context, fn, args, callback) {
+	if (fn.length - args.length === 1) {
+		//async series
+		return fn.apply(context, args.concat(function (err) {
+			callback(err, callbackValues(arguments));
+		}));
+	}
+	var result = void 0;
+	try {
+		result = fn.apply(context, args);
+	} catch (e) {
+		return callback(e, []);
+	}
+	if (module.exports.isThenable(result)) {
+		//thenable
+		return result.then(function (value) {
+			callback(null, toValues(value));
+		}, function (err) {
+			callback(err, []);
+		});
+	}
+	//synced
+	callback(null, toValues(result));
+}
+
+/**
+ * Iterates over `middleware`, calling each with `args`.
+ * @param context - the context in which the middleware will be called
+ * @param {Object[]} middleware - middleware entries
+ * @param {Array} args - parameters passed to the middleware
+ * @param {Function} [done] - receives the error, or the {@link Bail} if any middleware bailed
+ * @param {Object} [strategy] - customises the iteration
+ * @param {Function} [strategy.getArgs] - receives a middleware entry and returns the parameters it's called with instead of `args`
+ * @param {Function} [strategy.receive] - receives a middleware entry and the values it produced, i.e. passed to `next` after the error,
+ * returned or resolved. May return an error to fail the iteration, or {@link RESTART} to restart it.
+ * @param {Number} [strategy.concurrency] - executes the middleware concurrently instead of in series, at most `concurrency` at once
+ * @param {String} [strategy.race] - executes the middleware concurrently and finishes with the first middleware to finish ('race')
+ * or to succeed ('any'), see {@link iterateRaceMiddleware}
+ * @param {Boolean} [strategy.aggregateErrors] - waits for all running middleware once middleware fails, and fails with an
+ * {@link AggregateMiddlewareError} listing all failures
+ * @param {String} [strategy.hook] - qualified hook, used in error messages
+ * @param {Boolean} [strategy.wrapErrors] - wraps errors of middleware in a {@link HookError}
+ * @param {Function} [strategy.tolerate] - receives a failing middleware entry, its index and the error, and returns the error
+ * to fail with, or nothing to keep executing the remaining middleware
+ * @param {Number} [strategy.timeout] - fails the iteration with a {@link HookTimeoutError} if middleware registered without
+ * a `timeout` of its own hasn't finished within `timeout` milliseconds
+ * @param {AbortSignal} [strategy.signal] - no further middleware is started once it aborted, the iteration fails with a
+ * {@link HookAbortError} instead
+ * @private
+ */
+function iterateAsyncMiddleware(context, middleware, args, done, strategy) {
+	strategy = _.defaults({}, strategy, {
+		getArgs: _.constant(args),
+		receive: _.noop,
+		tolerate: function tolerate(entry, index, err) {
+			return err;
+		}
+	});
+	if (strategy.race) {
+		return iterateRaceMiddleware(context, middleware, done || _.noop, strategy);
+	}
+	done = done || function (err) {
+		/* istanbul ignore next: untestable */
+		if (err && !(err instanceof Bail)) {
+			throw err;
+		}
+	};
+	var failures = [];
+	var fail = function fail(entry, err) {
+		failures.push({ entry: entry, error: err });
+	};
+	var settle = function settle(err) {
+		if (!err && failures.length) {
+			err = new AggregateMiddlewareError(strategy.hook, failures);
+		}
+		done(err);
+	};
+	var asyncFinished = false;
+	var waiting = [];
+	var wait = function wait(callback) {
+		waiting.push(callback);
+		return function (err) {
+			waiting.splice(waiting.indexOf(callback), 1);
 			if (asyncFinished !== done) {
-				if (err || asyncFinished && !waiting.length) {
-					done(err);
+				var index = middleware.indexOf(callback);
+				err = wrapError(strategy, err, strategy.hook, index, callback);
+				if (err) {
+					err = strategy.tolerate(callback, index, err);
+				}
+				if (err && strategy.aggregateErrors) {
+					//reported once all middleware has finished
+					fail(callback, err);
+					err = null;
+				}
+				if (err) {
+					//the first error finishes the iteration, later ones are dropped
+					asyncFinished = done;
+					settle(err);
+				} else if (asyncFinished && !waiting.length) {
+					settle();
 				}
 			}
 		};
 	};
-	async.eachSeries(middleware, function (callback, next) {
-		var d = callback.length - args.length;
-		switch (d) {
-			case 1:
-				//async series
-				callback.apply(context, args.concat(next));
-				break;
-			case 2:
-				//async parallel
-				callback.apply(context, args.concat(next, wait(callback)));
-				break;
-			default:
-				//synced
-				var err = void 0;
-				var result = void 0;
-				try {
-					result = callback.apply(context, args);
-				} catch (e) {
-					err = e;
-				}
-				if (!err && module.exports.isThenable(result)) {
-					//thenable
-					result.then(function () {
-						next();
-					}, next);
-				} else {
-					//synced
-					next(err);
+	var iterator = function iterator(entry, next) {
+		var aborted = checkSignal(strategy.signal, strategy.hook);
+		if (aborted) {
+			return next(aborted);
+		}
+		if (!consume(entry)) {
+			return next();
+		}
+		var callback = entry.fn;
+		var mwArgs = strategy.getArgs(entry);
+		var receive = limitMiddleware(function (err, values) {
+			var index = middleware.indexOf(entry);
+			err = wrapError(strategy, err, strategy.hook, index, entry);
+			if (err) {
+				err = strategy.tolerate(entry, index, err);
+				if (!err) {
+					return next();
 				}
+			}
+			if (err && strategy.aggregateErrors) {
+				fail(entry, err);
+				//independent middleware of hooks in parallel mode keeps running
+				return next(strategy.concurrency ? null : err);
+			}
+			if (err) {
+				return next(err);
+			}
+			if (values[0] instanceof Bail) {
+				//ends the iteration, remaining middleware is skipped
+				return next(values[0]);
+			}
+			next(strategy.receive(entry, values));
+		}, entry, middleware, strategy);
+		if (callback.length - mwArgs.length === 2) {
+			//async parallel
+			return callback.apply(context, mwArgs.concat(function (err) {
+				receive(err, callbackValues(arguments));
+			}, limitMiddleware(wait(entry), entry, middleware, strategy)));
+		}
+		retryable(entry.retry, function (callback) {
+			invokeMiddleware(context, entry.fn, mwArgs, callback);
+		}, receive, strategy.signal, strategy.hook);
+	};
+	var finish = function finish(err) {
+		if (asyncFinished === done) {
+			//already finished by failing parallel middleware
+			return;
+		}
+		if (err === RESTART) {
+			asyncFinished = done;
+			return iterateAsyncMiddleware(context, middleware, args, done, strategy);
+		}
+		if (_.some(failures, function (failure) {
+			return failure.error === err;
+		})) {
+			//reported once all parallel middleware has finished
+			err = null;
 		}
-	}, function (err) {
 		asyncFinished = err ? done : true;
 		if (err || !waiting.length) {
+			settle(err);
+		}
+	};
+	if (strategy.concurrency) {
+		return async.eachLimit(middleware, strategy.concurrency, iterator, finish);
+	}
+	async.eachSeries(middleware, iterator, finish);
+}
+
+/**
+ * Calls all `middleware` at once and finishes as soon as the first middleware finishes (`strategy.race` is 'race'),
+ * or succeeds ('any'). In the latter case the iteration fails with the last error if all middleware fails,
+ * or with an {@link AggregateMiddlewareError} if `strategy.aggregateErrors` is set.
+ * The remaining middleware is ignored. No middleware is started if `strategy.signal` already aborted.
+ * @param context - the context in which the middleware will be called
+ * @param {Object[]} middleware - middleware entries
+ * @param {Function} done
+ * @param {Object} strategy - see {@link iterateAsyncMiddleware}
+ * @private
+ */
+function iterateRaceMiddleware(context, middleware, done, strategy) {
+	var pending = middleware.length;
+	var settled = false;
+	var failures = [];
+	var settle = function settle(err) {
+		if (!settled) {
+			settled = true;
 			done(err);
 		}
-	});
+	};
+	var complete = function complete() {
+		pending -= 1;
+		if (!pending) {
+			settle();
+		}
+	};
+	if (!pending) {
+		return done();
+	}
+	var aborted = checkSignal(strategy.signal, strategy.hook);
+	if (aborted) {
+		return done(aborted);
+	}
+	_.forEach(middleware, function (entry) {
+		if (!consume(entry)) {
+			return complete();
+		}
+		var mwArgs = strategy.getArgs(entry);
+		var receive = limitMiddleware(function (err, values) {
+			if (settled) {
+				return;
+			}
+			var index = middleware.indexOf(entry);
+			err = wrapError(strategy, err, strategy.hook, index, entry);
+			if (err) {
+				err = strategy.tolerate(entry, index, err);
+				if (!err) {
+					return complete();
+				}
+			}
+			if (err && strategy.race === 'any') {
+				pending -= 1;
+				failures.push({ entry: entry, error: err });
+				if (!pending) {
+					settle(strategy.aggregateErrors ? new AggregateMiddlewareError(strategy.hook, failures) : err);
+				}
+				return;
+			}
+			if (err || values[0] instanceof Bail) {
+				return settle(err || values[0]);
+			}
+			settle(strategy.receive(entry, values));
+		}, entry, middleware, strategy);
+		if (entry.fn.length - mwArgs.length === 2) {
+			//async parallel, finishes when `next` is called
+			return entry.fn.apply(context, mwArgs.concat(function (err) {
+				receive(err, callbackValues(arguments));
+			}, _.noop));
+		}
+		retryable(entry.retry, function (callback) {
+			invokeMiddleware(context, entry.fn, mwArgs, callback);
+		}, receive, strategy.signal, strategy.hook);
+	});
+}
+
+/**
+ * Iterates over `middleware` synchronously, calling each with `args`.
+ * @param context - the context in which the middleware will be called
+ * @param {Object[]} middleware - middleware entries
+ * @param {Array} args - parameters passed to the middleware
+ * @param {Object} [strategy] - customises the iteration, see {@link iterateAsyncMiddleware}
+ * @returns {Bail|undefined} the {@link Bail} if any middleware bailed
+ * @private
+ */
+function iterateSyncMiddleware(context, middleware, args, strategy) {
+	strategy = _.defaults({}, strategy, {
+		getArgs: _.constant(args),
+		receive: _.noop,
+		tolerate: function tolerate(entry, index, err) {
+			return err;
+		}
+	});
+	for (var i = 0; i < middleware.length; i++) {
+		var entry = middleware[i];
+		if (consume(entry)) {
+			var values = void 0;
+			try {
+				values = toValues(entry.fn.apply(context, strategy.getArgs(entry)));
+			} catch (e) {
+				var err = strategy.tolerate(entry, i, wrapError(strategy, e, strategy.hook, i, entry));
+				if (!err) {
+					continue;
+				}
+				throw err;
+			}
+			if (values[0] instanceof Bail) {
+				return values[0];
+			}
+			var signal = strategy.receive(entry, values);
+			if (signal === RESTART) {
+				i = -1;
+			} else if (signal) {
+				throw signal;
+			}
+		}
+	}
+}
+
+/**
+ *
+ * @param hookObj
+ * @returns {*}
+ * @private
+ */
+function qualifyHook(hookObj) {
+	if (!hookObj.name || !hookObj.type) {
+		throw new Error('Only qualified hooks are allowed, e.g. "pre:save", not "save"');
+	}
+	return hookObj;
+}
+
+function createHooks(instance, config, flexible) {
+	_.forEach(config, function (fn, hook) {
+		var hookObj = parseHook(hook);
+		instance[hookObj.name] = function () {
+			var args = _.toArray(arguments);
+			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
+			var done = null;
+
+			if (!flexible) {
+				done = args.pop();
+				if (!_.isFunction(done)) {
+					throw new Error('Async methods should receive a callback as a final parameter');
+				}
+			} else {
+				if (args.length && _.isFunction(args[args.length - 1])) {
+					done = args.pop();
+				} else {
+					done = _.noop;
+				}
+			}
+
+			doAsync(ctx, hookObj, fn, args, done);
+		};
+	});
+}
+
+function createSyncHooks(instance, config) {
+	var phases = instance.__grappling.phases;
+	_.forEach(config, function (fn, hook) {
+		var hookObj = parseHook(hook);
+		instance[hookObj.name] = function () {
+			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
+			var state = createCallState(_.toArray(arguments));
+			var args = state.args;
+			var error = void 0;
+			try {
+				var bailed = iterateSyncPhases(instance, ctx, phases.before, hookObj, state);
+				if (!bailed) {
+					state.results = [iterateAroundSync(instance, ctx, hookObj, state.args, function () {
+						try {
+							return fn.apply(ctx, state.args);
+						} catch (e) {
+							throw wrapError(instance.__grappling.opts, e, hookObj.name);
+						}
+					})];
+					bailed = iterateSyncPhases(instance, ctx, phases.after, hookObj, state);
+				}
+				if (bailed) {
+					state.results = [bailed.value];
+				}
+			} catch (err) {
+				error = err;
+			}
+			return settleSync(instance, ctx, hookObj, args, error, collapseResults(state.results));
+		};
+	});
+}
+
+function createThenableHooks(instance, config) {
+	_.forEach(config, function (fn, hook) {
+		var hookObj = parseHook(hook);
+		instance[hookObj.name] = function () {
+			var args = _.toArray(arguments);
+			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
+			return doTheanable(ctx, hookObj, fn, args);
+		};
+	});
+}
+
+function createDynamicHooks(instance, config) {
+	_.each(config, function (fn, hook) {
+		var hookObj = parseHook(hook);
+		instance[hookObj.name] = function () {
+			var args = _.toArray(arguments);
+			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
+			var last = null;
+			if (args.length && _.isFunction(args[args.length - 1])) {
+				last = args.pop();
+				doAsync(ctx, hookObj, fn, args, last);
+			} else {
+				return doTheanable(ctx, hookObj, fn, args);
+			}
+		};
+	});
+}
+
+/**
+ * Creates the `tolerate` function of iteration strategies, which reports errors of non-critical middleware of `hook` to
+ * {@link options}.onMiddlewareError and tolerates them.
+ * @param instance - grappling-hook instance
+ * @param {String} hook - qualified hook
+ * @returns {Function} see `strategy.tolerate` of {@link iterateAsyncMiddleware}, returns the error thrown by the handler, if any
+ * @private
+ */
+function tolerateMiddleware(instance, hook) {
+	var hookOpts = getHookOptions(instance.__grappling, hook);
+	return function (entry, index, err) {
+		if (entry.critical && hookOpts.critical !== false) {
+			return err;
+		}
+		var handler = instance.__grappling.opts.onMiddlewareError;
+		if (handler) {
+			try {
+				handler.call(instance, err, {
+					hook: hook,
+					index: index,
+					name: entry.name || entry.fn.name || undefined,
+					middleware: entry.fn
+				});
+			} catch (e) {
+				return e;
+			}
+		}
+	};
+}
+
+/**
+ * Creates the iteration strategy for the middleware of `hook`. Middleware registered with the `passResult` option receives the
+ * result of a wrapped method and is able to replace it. For hooks in 'waterfall' mode the values produced by middleware replace
+ * the leading parameters passed to the next middleware, and to the wrapped method if the hook passes its parameters on unchanged.
+ * For hooks declared or called with the `collect` option the values produced by middleware are gathered in `collected`.
+ * For hooks in 'loop' mode any value produced by middleware restarts the iteration, until `maxIterations` is exceeded.
+ * For hooks in 'parallel' mode the middleware is executed concurrently, limited by `concurrency`.
+ * For hooks in 'race' or 'any' mode the middleware is executed concurrently as well, and the value produced by the middleware that
+ * settled the hook is stored as `winner`.
+ * For hooks declared with the `aggregateErrors` option all failures are collected, see {@link AggregateMiddlewareError}.
+ * Errors of non-critical middleware are reported to {@link options}.onMiddlewareError and tolerated.
+ * No further middleware is started once the `AbortSignal` of the {@link module:grappling-hook.callContext call context} aborted.
+ * @param instance - grappling-hook instance
+ * @param {String} hook - qualified hook
+ * @param {Object} state - holds the parameters (`args`) and the `callContext` of the hook call and, once available, the `results`
+ * of the wrapped method, see {@link createCallState}
+ * @param {String} [mode] - overrides the configured {@link hookOptions}.mode
+ * @returns {Object} see `strategy` of {@link iterateAsyncMiddleware}
+ * @private
+ */
+function createPhaseStrategy(instance, hook, state, mode) {
+	var hookOpts = getHookOptions(instance.__grappling, hook);
+	var waterfall = (mode || hookOpts.mode) === 'waterfall';
+	var loop = (mode || hookOpts.mode) === 'loop';
+	var parallel = (mode || hookOpts.mode) === 'parallel';
+	var race = _.includes(['race', 'any'], mode || hookOpts.mode);
+	var maxIterations = hookOpts.maxIterations || 100;
+	var iterations = 1;
+	var collect = state.callContext && !_.isUndefined(state.callContext.collect) ? state.callContext.collect : hookOpts.collect;
+	var mwArgs = instance.getMiddlewareArgs(hook, state.args);
+	var passThrough = mwArgs === state.args;
+	var strategy = {
+		hook: hook,
+		args: mwArgs,
+		wrapErrors: !!instance.__grappling.opts.wrapErrors,
+		aggregateErrors: !!hookOpts.aggregateErrors,
+		timeout: hookOpts.timeout,
+		signal: state.callContext && state.callContext.signal,
+		concurrency: parallel ? hookOpts.concurrency || Infinity : undefined,
+		race: race ? mode || hookOpts.mode : undefined,
+		collected: collect ? [] : undefined,
+		tolerate: tolerateMiddleware(instance, hook),
+		getArgs: function getArgs(entry) {
+			var entryArgs = entry.passResult && _.has(state, 'results') ? [collapseResults(state.results)] : strategy.args;
+			return entry.callContext ? entryArgs.concat(state.callContext) : entryArgs;
+		},
+		receive: function receive(entry, values) {
+			if (race && !_.has(strategy, 'winner')) {
+				strategy.winner = collapseResults(values);
+			}
+			if (!values.length) {
+				return;
+			}
+			if (strategy.collected) {
+				strategy.collected.push(collect === 'named' ? { name: entry.name || entry.fn.name || undefined, value: collapseResults(values) } : collapseResults(values));
+			}
+			if (entry.passResult && _.has(state, 'results')) {
+				state.results = values;
+			} else if (waterfall) {
+				//the number of parameters is kept, since the arity of the next middleware is detected from it
+				strategy.args = _.take(values, strategy.args.length).concat(_.drop(strategy.args, values.length));
+				if (passThrough) {
+					state.args = strategy.args;
+				}
+			} else if (loop) {
+				iterations += 1;
+				return iterations > maxIterations ? new Error('Hook ' + hook + ' exceeded the maximum of ' + maxIterations + ' iterations, last restarted by middleware ' + describeEntry(entry)) : RESTART;
+			}
+		}
+	};
+	return strategy;
+}
+
+/**
+ * Iterates over the middleware of all `qualifiers` of `hookObj` in order.
+ * @param instance - grappling-hook instance
+ * @param {String[]} qualifiers
+ * @param hookObj - parsed hook
+ * @param {Object} state - holds the parameters (`args`) of the hook call and, once available, the `results` of the wrapped method,
+ * see {@link createPhaseStrategy}
+ * @param done
+ * @private
+ */
+function iterateAsyncPhases(instance, qualifiers, hookObj, state, done) {
+	async.eachSeries(qualifiers, function (qualifier, next) {
+		var hook = qualifier + ':' + hookObj.name;
+		var strategy = createPhaseStrategy(instance, hook, state);
+		var middleware = void 0;
+		try {
+			middleware = resolveMiddleware(instance, hook);
+		} catch (e) {
+			//unresolvable ordering constraints
+			return next(e);
+		}
+		iterateAsyncMiddleware(instance, middleware, strategy.args, next, strategy);
+	}, done);
+}
+
+/**
+ * Iterates over the middleware of all `qualifiers` of `hookObj` in order, synchronously.
+ * @returns {Bail|undefined} the {@link Bail} if any middleware bailed, in which case the remaining middleware is skipped
+ * @private
+ */
+function iterateSyncPhases(instance, context, qualifiers, hookObj, state) {
+	for (var i = 0; i < qualifiers.length; i++) {
+		var hook = qualifiers[i] + ':' + hookObj.name;
+		var strategy = createPhaseStrategy(instance, hook, state);
+		var bailed = iterateSyncMiddleware(context, resolveMiddleware(instance, hook), strategy.args, strategy);
+		if (bailed) {
+			return bailed;
+		}
+	}
+}
+
+/**
+ * Middleware registered to the `around` qualifier wraps the original method of a wrapped method, i.e. it's executed after `pre`
+ * and before `post` middleware. It receives the parameters passed to the hook and a `proceed` function, which executes the
+ * remaining `around` middleware and the original method. Since it controls the result of the method, its signature depends on the
+ * type of the wrapped method. Middleware of asynchronous hooks not accepting `next` is treated like middleware of thenable hooks,
+ * i.e. `proceed` returns a thenable (which requires {@link options}.createThenable).
+ * @example
+ * //asynchronous hooks: `proceed` accepts a callback, `next` needs to be called with the (possibly replaced) results
+ * instance.around('save', function(doc, proceed, next){
+ *   var start = Date.now();
+ *   proceed(function(err, result){
+ *     console.log('saving took', Date.now() - start);
+ *     next(err, result);
+ *   });
+ * });
+ * @example
+ * //thenable hooks: `proceed` returns a thenable, the returned thenable or value replaces the result
+ * instance.around('save', function(doc, proceed){
+ *   return proceed().then(function(result){
+ *     return decorate(result);
+ *   });
+ * });
+ * @example
+ * //synchronous hooks: `proceed` returns the result, the returned value replaces the result
+ * instance.around('save', function(doc, proceed){
+ *   return decorate(proceed());
+ * });
+ * @callback aroundMiddleware
+ * @param {...*} [parameters] - parameters passed to the hook
+ * @param {function} proceed - executes the remaining `around` middleware and the original method
+ * @param {function} [next] - pass control back, with the error and results (asynchronous hooks only)
+ */
+
+/**
+ * Resolves the middleware registered to `qualifier` for `hookObj` and the parameters they receive.
+ * @param instance - grappling-hook instance
+ * @param {String} [qualifier] - unconfigured qualifiers resolve to no middleware
+ * @param hookObj - parsed hook
+ * @param args - parameters passed to the hook
+ * @returns {{hook: String, middleware: Object[], args: Array, timeout: Number}} - `timeout` is the {@link hookOptions}.timeout of `hook`
+ * @private
+ */
+function resolvePhase(instance, qualifier, hookObj, args) {
+	if (!qualifier) {
+		return {
+			middleware: [],
+			args: args
+		};
+	}
+	var hook = qualifier + ':' + hookObj.name;
+	return {
+		hook: hook,
+		middleware: resolveMiddleware(instance, hook),
+		args: instance.getMiddlewareArgs(hook, args),
+		timeout: getHookOptions(instance.__grappling, hook).timeout
+	};
+}
+
+/**
+ * Wraps errors of around middleware in a {@link HookError} if enabled, errors passed on from the remaining chain are already wrapped.
+ * @private
+ */
+function wrapAroundError(instance, err, around, i) {
+	return err instanceof HookError ? err : wrapError(instance.__grappling.opts, err, around.hook, i, around.middleware[i]);
+}
+
+function iterateAroundAsync(instance, hookObj, args, method, done) {
+	var around = void 0;
+	try {
+		around = resolvePhase(instance, instance.__grappling.phases.around, hookObj, args);
+	} catch (e) {
+		return done(e);
+	}
+	var proceed = function proceed(i, callback) {
+		var entry = around.middleware[i];
+		if (!entry) {
+			return method(callback);
+		}
+		if (!consume(entry)) {
+			return proceed(i + 1, callback);
+		}
+		var report = limitMiddleware(_.once(function (err) {
+			callback.apply(null, [wrapAroundError(instance, err, around, i)].concat(_.tail(_.toArray(arguments))));
+		}), entry, around.middleware, around);
+		if (entry.fn.length - around.args.length !== 2) {
+			//sync or thenable, `proceed` returns a thenable and the returned thenable or value replaces the results
+			return invokeMiddleware(instance, entry.fn, around.args.concat(function () {
+				return instance.__grappling.opts.createThenable(function (resolve, reject) {
+					proceed(i + 1, function (err) {
+						if (err) {
+							return reject(err);
+						}
+						resolve(collapseResults(_.tail(_.toArray(arguments))));
+					});
+				});
+			}), function (err, values) {
+				report.apply(null, [err].concat(values));
+			});
+		}
+		try {
+			entry.fn.apply(instance, around.args.concat(function (callback) {
+				proceed(i + 1, callback);
+			}, report));
+		} catch (e) {
+			report(e);
+		}
+	};
+	proceed(0, done);
+}
+
+function iterateAroundThenable(instance, hookObj, args, method) {
+	var around = void 0;
+	try {
+		around = resolvePhase(instance, instance.__grappling.phases.around, hookObj, args);
+	} catch (e) {
+		return instance.__grappling.opts.createThenable(function (resolve, reject) {
+			reject(e);
+		});
+	}
+	var proceed = function proceed(i) {
+		var entry = around.middleware[i];
+		if (!entry) {
+			return method();
+		}
+		if (!consume(entry)) {
+			return proceed(i + 1);
+		}
+		return instance.__grappling.opts.createThenable(function (resolve, reject) {
+			var settle = limitMiddleware(function (err, result) {
+				if (err) {
+					return reject(wrapAroundError(instance, err, around, i));
+				}
+				resolve(result);
+			}, entry, around.middleware, around);
+			var result = void 0;
+			try {
+				result = entry.fn.apply(instance, around.args.concat(function () {
+					return proceed(i + 1);
+				}));
+			} catch (e) {
+				return settle(e);
+			}
+			if (module.exports.isThenable(result)) {
+				return result.then(function (value) {
+					settle(null, value);
+				}, settle);
+			}
+			settle(null, result);
+		});
+	};
+	return proceed(0);
+}
+
+function iterateAroundSync(instance, context, hookObj, args, method) {
+	var around = resolvePhase(instance, instance.__grappling.phases.around, hookObj, args);
+	var proceed = function proceed(i) {
+		var entry = around.middleware[i];
+		if (!entry) {
+			return method();
+		}
+		if (!consume(entry)) {
+			return proceed(i + 1);
+		}
+		try {
+			return entry.fn.apply(context, around.args.concat(function () {
+				return proceed(i + 1);
+			}));
+		} catch (e) {
+			throw wrapAroundError(instance, e, around, i);
+		}
+	};
+	return proceed(0);
+}
+
+/**
+ * Middleware registered to the `error` qualifier is executed when any middleware or the original method of a wrapped method fails.
+ * It receives the error followed by the parameters passed to the hook, and is able to leave the error as is, translate it into
+ * another error, or recover from it by providing the result of the wrapped method. Once middleware recovers, remaining error
+ * middleware is skipped; translated errors are passed on to the remaining error middleware.
+ * @example
+ * //asynchronous: `next()` leaves the error as is, `next(err)` translates it, `next(null, result)` recovers
+ * instance.error('save', function(err, doc, next){
+ *   if (err.code === 11000) {
+ *     return next(new DuplicateError(doc));
+ *   }
+ *   next();
+ * });
+ * @example
+ * //sync or thenable: throwing or rejecting translates the error, returning or resolving a value (other than `undefined`) recovers
+ * instance.error('find', function(err, query){
+ *   if (err.notFound) {
+ *     return [];
+ *   }
+ * });
+ * @callback errorMiddleware
+ * @param {Error} err - the error
+ * @param {...*} [parameters] - parameters passed to the hook
+ * @param {function} [next] - pass control to the next error middleware
+ */
+
+/**
+ * Iterates over error middleware until any of it recovers, see {@link errorMiddleware}.
+ * @param context - the context in which the middleware will be called
+ * @param {Object} phase - the error middleware, its parameters and timeout, see {@link resolvePhase}
+ * @param [err] - the error
+ * @param {Function} done - receives the final error, or `null` and the values of the middleware that recovered
+ * @private
+ */
+function iterateErrorMiddleware(context, phase, err, done) {
+	//without an error there's nothing to handle
+	var middleware = err ? phase.middleware : [];
+	var i = 0;
+	var iterate = function iterate() {
+		var entry = middleware[i++];
+		if (!entry) {
+			return done(err);
+		}
+		if (!consume(entry)) {
+			return iterate();
+		}
+		invokeMiddleware(context, entry.fn, [err].concat(phase.args), limitMiddleware(function (error, values) {
+			if (error) {
+				//translated
+				err = error;
+			} else if (values[0] instanceof Bail) {
+				return done(null, [values[0].value]);
+			} else if (values.length) {
+				//recovered
+				return done(null, values);
+			}
+			iterate();
+		}, entry, middleware, phase));
+	};
+	iterate();
+}
+
+function iterateErrorMiddlewareSync(context, middleware, err, args) {
+	for (var i = 0; i < middleware.length; i++) {
+		var entry = middleware[i];
+		if (consume(entry)) {
+			var result = void 0;
+			try {
+				result = entry.fn.apply(context, [err].concat(args));
+			} catch (e) {
+				err = e;
+				continue;
+			}
+			if (result instanceof Bail) {
+				return result.value;
+			}
+			if (!_.isUndefined(result)) {
+				return result;
+			}
+		}
+	}
+	throw err;
 }
 
-function iterateSyncMiddleware(context, middleware, args) {
-	middleware.forEach(function (callback) {
-		callback.apply(context, args);
-	});
+/**
+ * Middleware registered to the `finally` qualifier is executed once a wrapped method has finished, whether it succeeded or failed,
+ * i.e. after any `error` middleware. It receives the error (or `null`) and the result, followed by the parameters passed to the hook.
+ * It can't change the outcome of the wrapped method, unless it fails itself.
+ * @example
+ * instance.finally('query', function(err, result, query){
+ *   query.connection.release();
+ * });
+ * @callback finallyMiddleware
+ * @param {?Error} err - the error, if the wrapped method failed
+ * @param {*} result - the result of the wrapped method, an array if it produced multiple values
+ * @param {...*} [parameters] - parameters passed to the hook
+ * @param {function} [next] - pass control to the next middleware
+ * @param {function} [done] - mark parallel middleware to have completed
+ */
+
+function collapseResults(results) {
+	return results && results.length > 1 ? results : results && results[0];
 }
 
 /**
- *
- * @param hookObj
- * @returns {*}
+ * Executes the `error` and `finally` middleware of a wrapped method once it has finished.
+ * @param instance - grappling-hook instance
+ * @param hookObj - parsed hook
+ * @param args - parameters passed to the hook
+ * @param {(Error|Bail)} [err] - error of the wrapped method, or the {@link Bail} if any middleware bailed
+ * @param {Array} [results] - results of the wrapped method
+ * @param {Function} done - receives the final error and results
  * @private
  */
-function qualifyHook(hookObj) {
-	if (!hookObj.name || !hookObj.type) {
-		throw new Error('Only qualified hooks are allowed, e.g. "pre:save", not "save"');
+function settleAsync(instance, hookObj, args, err, results, done) {
+	var phases = instance.__grappling.phases;
+	if (err instanceof Bail) {
+		results = [err.value];
+		err = null;
 	}
-	return hookObj;
-}
-
-function createHooks(instance, config, flexible) {
-	_.forEach(config, function (fn, hook) {
-		var hookObj = parseHook(hook);
-		instance[hookObj.name] = function () {
-			var args = _.toArray(arguments);
-			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
-			var done = null;
-
-			if (!flexible) {
-				done = args.pop();
-				if (!_.isFunction(done)) {
-					throw new Error('Async methods should receive a callback as a final parameter');
-				}
-			} else {
-				if (args.length && _.isFunction(args[args.length - 1])) {
-					done = args.pop();
-				} else {
-					done = _.noop;
-				}
-			}
-
-			doAsync(ctx, hookObj, fn, args, done);
-		};
-	});
-}
-
-function createSyncHooks(instance, config) {
-	var q = instance.__grappling.opts.qualifiers;
-	_.forEach(config, function (fn, hook) {
-		var hookObj = parseHook(hook);
-		instance[hookObj.name] = function () {
-			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
-			var args = _.toArray(arguments);
-			var middleware = instance.getMiddleware(q.pre + ':' + hookObj.name);
-			var preArgs = instance.getMiddlewareArgs(q.pre + ':' + hookObj.name, args);
-			var result = void 0;
-			middleware.push(function () {
-				result = fn.apply(ctx, preArgs);
-			});
-			middleware = middleware.concat(instance.getMiddleware(q.post + ':' + hookObj.name));
-			var postArgs = instance.getMiddlewareArgs(q.post + ':' + hookObj.name, args);
-			iterateSyncMiddleware(ctx, middleware, postArgs);
-			return result;
-		};
+	var error = void 0;
+	var fin = void 0;
+	try {
+		error = resolvePhase(instance, phases.error, hookObj, args);
+		fin = resolvePhase(instance, phases.finally, hookObj, args);
+	} catch (e) {
+		return done(e, results);
+	}
+	iterateErrorMiddleware(instance, error, err, function (err, values) {
+		results = values || results;
+		iterateAsyncMiddleware(instance, fin.middleware, [err || null, collapseResults(results)].concat(fin.args), function (finErr) {
+			//bailing only skips the remaining `finally` middleware
+			done((finErr instanceof Bail ? null : finErr) || err, results);
+		}, {
+			hook: fin.hook,
+			wrapErrors: instance.__grappling.opts.wrapErrors,
+			timeout: fin.timeout,
+			tolerate: tolerateMiddleware(instance, fin.hook)
+		});
 	});
 }
 
-function createThenableHooks(instance, config) {
-	_.forEach(config, function (fn, hook) {
-		var hookObj = parseHook(hook);
-		instance[hookObj.name] = function () {
-			var args = _.toArray(arguments);
-			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
-			return doTheanable(ctx, hookObj, fn, args);
-		};
+function settleSync(instance, context, hookObj, args, err, result) {
+	var phases = instance.__grappling.phases;
+	if (err) {
+		var error = resolvePhase(instance, phases.error, hookObj, args);
+		try {
+			result = iterateErrorMiddlewareSync(context, error.middleware, err, error.args);
+			err = null;
+		} catch (e) {
+			err = e;
+		}
+	}
+	var fin = resolvePhase(instance, phases.finally, hookObj, args);
+	iterateSyncMiddleware(context, fin.middleware, [err || null, result].concat(fin.args), {
+		hook: fin.hook,
+		wrapErrors: instance.__grappling.opts.wrapErrors,
+		tolerate: tolerateMiddleware(instance, fin.hook)
 	});
+	if (err) {
+		throw err;
+	}
+	return result;
 }
 
-function createDynamicHooks(instance, config) {
-	_.each(config, function (fn, hook) {
-		var hookObj = parseHook(hook);
-		instance[hookObj.name] = function () {
-			var args = _.toArray(arguments);
-			var ctx = instance.__grappling.opts.attachToPrototype ? this : instance;
-			var last = null;
-			if (args.length && _.isFunction(args[args.length - 1])) {
-				last = args.pop();
-				doAsync(ctx, hookObj, fn, args, last);
-			} else {
-				return doTheanable(ctx, hookObj, fn, args);
-			}
-		};
+/**
+ * Limits the time the `pre` middleware, the original method and the `post` middleware of a wrapped method may take to its
+ * `deadline`, see {@link hookOptions}, and stops waiting for them once the signal of its call context aborts.
+ * @param instance - grappling-hook instance
+ * @param hookObj - parsed hook
+ * @param {AbortSignal} [signal] - the signal of the call context
+ * @param {Function} callback - receives the error, a {@link HookTimeoutError} once the deadline passed
+ * or a {@link HookAbortError} once the signal aborted
+ * @returns {Function}
+ * @private
+ */
+function limitMethod(instance, hookObj, signal, callback) {
+	var deadline = getHookOptions(instance.__grappling, hookObj.name).deadline;
+	return limitTime(abortable(callback, signal, hookObj.name), deadline, function () {
+		return new HookTimeoutError(hookObj.name, deadline);
 	});
 }
 
 function doAsync(instance, hookObj, fn, args, done) {
-	var q = instance.__grappling.opts.qualifiers;
-	var results = void 0;
+	var phases = instance.__grappling.phases;
+	var state = createCallState(args);
+	var signal = state.callContext.signal;
+	args = state.args;
 	dezalgofy(function (safeDone) {
+		var finish = limitMethod(instance, hookObj, signal, function (err) {
+			settleAsync(instance, hookObj, args, err, state.results, function (err, results) {
+				safeDone.apply(null, [err].concat(results));
+			});
+		});
 		async.series([function (next) {
-			var preArgs = instance.getMiddlewareArgs(q.pre + ':' + hookObj.name, args);
-			iterateAsyncMiddleware(instance, instance.getMiddleware(q.pre + ':' + hookObj.name), preArgs, next);
+			iterateAsyncPhases(instance, phases.before, hookObj, state, next);
 		}, function (next) {
-			fn.apply(instance, args.concat(function () {
+			var aborted = checkSignal(signal, hookObj.name);
+			if (aborted) {
+				return next(aborted);
+			}
+			iterateAroundAsync(instance, hookObj, state.args, function (callback) {
+				retryable(getHookOptions(instance.__grappling, hookObj.name).retry, function (callback) {
+					fn.apply(instance, state.args.concat(callback));
+				}, function (err) {
+					callback.apply(null, [wrapError(instance.__grappling.opts, err, hookObj.name)].concat(_.tail(_.toArray(arguments))));
+				}, signal, hookObj.name, finish);
+			}, function () {
 				var args = _.toArray(arguments);
 				var err = args.shift();
-				results = args;
+				state.results = args;
 				next(err);
-			}));
+			});
 		}, function (next) {
-			var postArgs = instance.getMiddlewareArgs(q.post + ':' + hookObj.name, args);
-			iterateAsyncMiddleware(instance, instance.getMiddleware(q.post + ':' + hookObj.name), postArgs, next);
-		}], function (err) {
-			safeDone.apply(null, [err].concat(results));
-		});
+			iterateAsyncPhases(instance, phases.after, hookObj, state, next);
+		}], finish);
 	}, done);
 }
 
 function doTheanable(instance, hookObj, fn, args) {
 	var opts = instance.__grappling.opts;
-	var q = instance.__grappling.opts.qualifiers;
+	var phases = instance.__grappling.phases;
 	var deferred = {};
+	var state = createCallState(args);
+	var signal = state.callContext.signal;
+	args = state.args;
 	var thenable = opts.createThenable(function (resolve, reject) {
 		deferred.resolve = resolve;
 		deferred.reject = reject;
 	});
+	var finish = limitMethod(instance, hookObj, signal, function (err) {
+		settleAsync(instance, hookObj, args, err, state.results || [], function (err, results) {
+			if (err) {
+				return deferred.reject(err);
+			}
+			return deferred.resolve(results[0]);
+		});
+	});
 	async.series([function (next) {
-		var preArgs = instance.getMiddlewareArgs(q.pre + ':' + hookObj.name, args);
-		iterateAsyncMiddleware(instance, instance.getMiddleware(q.pre + ':' + hookObj.name), preArgs, next);
+		iterateAsyncPhases(instance, phases.before, hookObj, state, next);
 	}, function (next) {
-		fn.apply(instance, args).then(function (result) {
-			deferred.result = result;
+		var aborted = checkSignal(signal, hookObj.name);
+		if (aborted) {
+			return next(aborted);
+		}
+		iterateAroundThenable(instance, hookObj, state.args, function () {
+			var retry = getHookOptions(instance.__grappling, hookObj.name).retry;
+			var result = retry ? opts.createThenable(function (resolve, reject) {
+				retryable(retry, function (callback) {
+					fn.apply(instance, state.args).then(function (value) {
+						callback(null, value);
+					}, callback);
+				}, function (err, value) {
+					if (err) {
+						return reject(err);
+					}
+					resolve(value);
+				}, signal, hookObj.name, finish);
+			}) : fn.apply(instance, state.args);
+			return opts.wrapErrors ? result.then(null, function (err) {
+				throw wrapError(opts, err, hookObj.name);
+			}) : result;
+		}).then(function (result) {
+			state.results = [result];
 			next();
 		}, next);
 	}, function (next) {
-		var postArgs = instance.getMiddlewareArgs(q.post + ':' + hookObj.name, args);
-		iterateAsyncMiddleware(instance, instance.getMiddleware(q.post + ':' + hookObj.name), postArgs, next);
-	}], function (err) {
-		if (err) {
-			return deferred.reject(err);
-		}
-		return deferred.resolve(deferred.result);
-	});
+		iterateAsyncPhases(instance, phases.after, hookObj, state, next);
+	}], finish);
 
 	return thenable;
 }
@@ -512,12 +2391,66 @@ function _addHooks(instance, args) {
 	return config;
 }
 
+/**
+ * Reduces the value passed to a filter hook through its middleware.
+ * @param instance - grappling-hook instance
+ * @param {Object} params - see {@link parseCallHookParams}
+ * @param {Function} done - receives the error or the final value
+ * @private
+ */
+function iterateFilterMiddleware(instance, params, done) {
+	var strategy = createPhaseStrategy(instance, params.hook, params.state, 'waterfall');
+	dezalgofy(function (safeDone) {
+		var middleware = void 0;
+		try {
+			middleware = resolveMiddleware(instance, params.hook);
+		} catch (e) {
+			return safeDone(e);
+		}
+		iterateAsyncMiddleware(params.context, middleware, strategy.args, abortable(safeDone, strategy.signal, params.hook), strategy);
+	}, function (err) {
+		if (err instanceof Bail) {
+			return done(null, err.value);
+		}
+		if (err) {
+			return done(err);
+		}
+		done(null, strategy.args[0]);
+	});
+}
+
+/**
+ * Wraps `done` of a called hook, passing it the values collected by `strategy`, the value of the middleware winning the race
+ * of hooks in 'race' or 'any' mode, or the value passed to {@link module:grappling-hook.bail bail} if the middleware bailed.
+ * @param {Object} strategy - see {@link createPhaseStrategy}
+ * @param {Function} done
+ * @returns {Function}
+ * @private
+ */
+function settleCall(strategy, done) {
+	return function (err) {
+		if (err instanceof Bail) {
+			return done(null, err.value);
+		}
+		if (err || !(strategy.collected || strategy.race)) {
+			return done(err);
+		}
+		done(null, strategy.race ? strategy.winner : strategy.collected);
+	};
+}
+
 function parseCallHookParams(instance, args) {
-	return {
-		context: _.isString(args[0]) ? instance : args.shift(),
-		hook: args.shift(),
-		args: args
+	var context = _.isString(args[0]) ? instance : args.shift();
+	var hook = args.shift();
+	var state = createCallState(args);
+	var params = {
+		context: context,
+		hook: hook,
+		args: state.args,
+		state: state
 	};
+	qualifyHook(parseHook(params.hook));
+	return params;
 }
 
 /**
@@ -533,6 +2466,7 @@ var methods = {
   *
   * @param {String} qualifiedHook - qualified hook e.g. `pre:save`
   * @param {(...middleware|middleware[])} middleware - middleware to call
+  * @param {middlewareOptions} [options] - registration options
   * @instance
   * @public
   * @example
@@ -540,22 +2474,48 @@ var methods = {
   *   console.log('before saving');
   *   next();
   * }
-  * @returns {GrapplingHook|thenable}
+  * @example
+  * instance.hook('pre:save', function(next) {
+  *   console.log('before saving, last');
+  *   next();
+  * }, {priority: -10});
+  * @example
+  * //registers middleware to all `post` hooks starting with `user.`, e.g. `post:user.save`
+  * instance.hook('post:user.*', function() {
+  *   console.log('after a user operation');
+  * });
+  * @returns {GrapplingHook|thenable|registrationHandle}
   */
 	hook: function hook() {
-		var fns = _.toArray(arguments);
-		var hook = fns.shift();
-		var output = void 0;
+		var args = _.toArray(arguments);
+		var hook = args.shift();
 		qualifyHook(parseHook(hook));
-		if (fns.length) {
-			output = this;
-		} else {
-			output = this.__grappling.opts.createThenable(function (resolve) {
-				fns = [resolve];
-			});
-		}
-		addMiddleware(this, hook, fns);
-		return output;
+		return registerMiddleware(this, hook, args);
+	},
+
+	/**
+  * Adds middleware to a qualified hook, which is removed again after it has been executed once.
+  * Shorthand for {@link GrapplingHook#hook} with the `times` option set to `1`.
+  * Isn't added to objects mixed in or classes attached to that already have a `once` method, e.g. an `EventEmitter`,
+  * use the `times` option instead.
+  *
+  * @since 4.0.0
+  * @param {String} qualifiedHook - qualified hook e.g. `pre:connect`
+  * @param {(...middleware|middleware[])} middleware - middleware to call
+  * @param {middlewareOptions} [options] - registration options
+  * @instance
+  * @public
+  * @example
+  * instance.once('pre:connect', function(next) {
+  *   initialize(next);
+  * });
+  * @returns {GrapplingHook|thenable|registrationHandle}
+  */
+	once: function once() {
+		var args = _.toArray(arguments);
+		var hook = args.shift();
+		var mwOpts = _.isPlainObject(_.last(args)) ? args.pop() : {};
+		return this.hook.apply(this, [hook].concat(args, _.defaults({ times: 1 }, mwOpts)));
 	},
 
 	/**
@@ -573,42 +2533,53 @@ var methods = {
   * @example
   * //removes ALL middleware
   * instance.unhook();
+  * @example
+  * //removes all middleware tagged with 'plugin:search', for any hook
+  * instance.unhook({tag: 'plugin:search'});
   * @param {String} [hook] - (qualified) hooks e.g. `pre:save` or `save`
   * @param {(...middleware|middleware[])} [middleware] - function(s) to be removed
+  * @param {middlewareFilter} [filter] - only remove middleware matching `filter`
   * @returns {GrapplingHook}
   */
 	unhook: function unhook() {
 		var fns = _.toArray(arguments);
+		var filter = _.isPlainObject(_.last(fns)) ? fns.pop() : {};
 		var hook = fns.shift();
 		var hookObj = parseHook(hook);
-		var middleware = this.__grappling.middleware;
-		var q = this.__grappling.opts.qualifiers;
+		var cache = this.__grappling;
+		var middleware = cache.middleware;
+		var remove = function remove(hook) {
+			var callbacks = _.flatten(fns);
+			var registry = getRegistry(cache, hook);
+			registry[hook] = _.reject(registry[hook], function (entry) {
+				return (!callbacks.length || _.includes(callbacks, entry.fn)) && matchesFilter(entry, filter);
+			});
+		};
 		if (hookObj.type || fns.length) {
 			qualifyHook(hookObj);
-			if (middleware[hook]) {
-				middleware[hook] = fns.length ? _.without.apply(null, [middleware[hook]].concat(fns)) : [];
+			if (getRegistry(cache, hook)[hook]) {
+				remove(hook);
 			}
 		} else if (hookObj.name) {
-			/* istanbul ignore else: nothing _should_ happen */
-			if (middleware[q.pre + ':' + hookObj.name]) middleware[q.pre + ':' + hookObj.name] = [];
-			/* istanbul ignore else: nothing _should_ happen */
-			if (middleware[q.post + ':' + hookObj.name]) middleware[q.post + ':' + hookObj.name] = [];
-		} else {
-			_.forEach(middleware, function (callbacks, hook) {
-				middleware[hook] = [];
+			_.forEach(getQualifiers(cache), function (qualifier) {
+				/* istanbul ignore else: nothing _should_ happen */
+				if (middleware[qualifier + ':' + hookObj.name]) remove(qualifier + ':' + hookObj.name);
 			});
+		} else {
+			_.forEach(_.keys(middleware).concat(_.keys(cache.patterns)), remove);
 		}
 		return this;
 	},
 
 	/**
   * Determines whether registration of middleware to `qualifiedHook` is allowed. (Always returns `true` for lenient instances)
+  * Patterns are allowed if they match any declared hook.
   * @instance
-  * @param {String|String[]} qualifiedHook - qualified hook e.g. `pre:save`
+  * @param {String|String[]} qualifiedHook - qualified hook e.g. `pre:save`, or pattern e.g. `pre:*`
   * @returns {boolean}
   */
 	hookable: function hookable(qualifiedHook) {
-		var _this = this;
+		var _this2 = this;
 
 		//eslint-disable-line no-unused-vars
 		if (!this.__grappling.opts.strict) {
@@ -617,7 +2588,7 @@ var methods = {
 		var args = _.flatten(_.toArray(arguments));
 		return _.every(args, function (qualifiedHook) {
 			qualifyHook(parseHook(qualifiedHook));
-			return !!_this.__grappling.middleware[qualifiedHook];
+			return isDeclared(_this2.__grappling, qualifiedHook);
 		});
 	},
 
@@ -625,27 +2596,64 @@ var methods = {
   * Explicitly declare hooks
   * @instance
   * @param {(...string|string[])} hooks - (qualified) hooks e.g. `pre:save` or `save`
+  * @param {hookOptions} [options] - configures how the middleware of the hooks is executed
   * @returns {GrapplingHook}
+  * @example
+  * instance.allowHooks('pre:save', {mode: 'waterfall'});
   */
 	allowHooks: function allowHooks() {
-		var _this2 = this;
+		var _this3 = this;
 
 		var args = _.flatten(_.toArray(arguments));
-		var q = this.__grappling.opts.qualifiers;
+		var hookOpts = _.isPlainObject(_.last(args)) ? args.pop() : null;
+		var qualifiers = getQualifiers(this.__grappling);
+		var configure = function configure(hook) {
+			if (hookOpts) {
+				_this3.__grappling.hookopts[hook] = _.assign({}, _this3.__grappling.hookopts[hook], hookOpts);
+			}
+		};
+		if (hookOpts && !_.isUndefined(hookOpts.mode) && !_.includes(HOOK_MODES, hookOpts.mode)) {
+			throw new Error('Only "' + HOOK_MODES.join('", "') + '" modes are allowed, not "' + hookOpts.mode + '"');
+		}
+		if (hookOpts && !_.isUndefined(hookOpts.maxIterations) && !(_.isInteger(hookOpts.maxIterations) && hookOpts.maxIterations > 0)) {
+			throw new Error('Hook option `maxIterations` should be a positive integer, not "' + hookOpts.maxIterations + '"');
+		}
+		if (hookOpts && !_.isUndefined(hookOpts.concurrency) && !(_.isInteger(hookOpts.concurrency) && hookOpts.concurrency > 0)) {
+			throw new Error('Hook option `concurrency` should be a positive integer, not "' + hookOpts.concurrency + '"');
+		}
+		if (hookOpts && !_.includes([undefined, true, false, 'named'], hookOpts.collect)) {
+			throw new Error('Hook option `collect` should be a Boolean or "named", not "' + hookOpts.collect + '"');
+		}
+		_.forEach(['timeout', 'deadline'], function (option) {
+			if (hookOpts && !_.isUndefined(hookOpts[option]) && !(_.isNumber(hookOpts[option]) && hookOpts[option] > 0)) {
+				throw new Error('Hook option `' + option + '` should be a positive number, not "' + hookOpts[option] + '"');
+			}
+		});
+		if (hookOpts) {
+			validateRetry(hookOpts.retry);
+		}
 		_.forEach(args, function (hook) {
 			if (!_.isString(hook)) {
 				throw new Error('`allowHooks` expects (arrays of) Strings');
 			}
 			var hookObj = parseHook(hook);
-			var middleware = _this2.__grappling.middleware;
+			var middleware = _this3.__grappling.middleware;
+			if (hookObj.pattern) {
+				throw new Error('`allowHooks` expects hooks, not patterns like "' + hook + '"');
+			}
 			if (hookObj.type) {
-				if (hookObj.type !== q.pre && hookObj.type !== q.post) {
-					throw new Error('Only "' + q.pre + '" and "' + q.post + '" types are allowed, not "' + hookObj.type + '"');
+				if (!_.includes(qualifiers, hookObj.type)) {
+					throw new Error('Only "' + qualifiers.join('", "') + '" types are allowed, not "' + hookObj.type + '"');
 				}
 				middleware[hook] = middleware[hook] || [];
+				configure(hook);
 			} else {
-				middleware[q.pre + ':' + hookObj.name] = middleware[q.pre + ':' + hookObj.name] || [];
-				middleware[q.post + ':' + hookObj.name] = middleware[q.post + ':' + hookObj.name] || [];
+				_.forEach(qualifiers, function (qualifier) {
+					middleware[qualifier + ':' + hookObj.name] = middleware[qualifier + ':' + hookObj.name] || [];
+					configure(qualifier + ':' + hookObj.name);
+				});
+				//options of the wrapped method itself, e.g. `deadline`
+				configure(hook);
 			}
 		});
 		return this;
@@ -667,6 +2675,10 @@ var methods = {
   *   	//...
   *   }
   * });
+  * @example
+  * //retry the wrapped method when it fails, see {@link hookOptions}.retry
+  * instance.addHooks({save: instance._upload});
+  * instance.allowHooks('save', {retry: {attempts: 3, backoff: 'exponential'}});
   * @param {(...String|String[]|...Object|Object[])} methods - method(s) that need(s) to emit `pre` and `post` events
   * @returns {GrapplingHook}
   */
@@ -726,11 +2738,22 @@ var methods = {
   * @param {*} [context] - the context in which the middleware will be called
   * @param {String} qualifiedHook - qualified hook e.g. `pre:save`
   * @param {...*} [parameters] - any parameters you wish to pass to the middleware.
-  * @param {Function} [callback] - will be called when all middleware have finished
+  * @param {Function} [callback] - will be called when all middleware have finished, receiving the collected values
+  * if the hook was declared or called with the `collect` option, see {@link hookOptions}
   * @returns {GrapplingHook}
+  * @example
+  * instance.allowHooks('pre:validate', {collect: true});
+  * instance.pre('validate', function(doc) {
+  *   if (!doc.title) {
+  *     return 'Missing title';
+  *   }
+  * });
+  * instance.callHook('pre:validate', doc, function(err, warnings) {
+  *   console.log(warnings); // ['Missing title']
+  * });
   */
 	callHook: function callHook() {
-		var _this3 = this;
+		var _this4 = this;
 
 		//todo: decide whether we should enforce passing a callback
 		var i = arguments.length;
@@ -741,13 +2764,19 @@ var methods = {
 		var params = parseCallHookParams(this, args);
 		params.done = _.isFunction(params.args[params.args.length - 1]) ? params.args.pop() : null;
 
-		var hookArgs = this.getMiddlewareArgs(params.hook, params.args);
+		var strategy = createPhaseStrategy(this, params.hook, params.state);
 		if (params.done) {
 			dezalgofy(function (safeDone) {
-				iterateAsyncMiddleware(params.context, _this3.getMiddleware(params.hook), hookArgs, safeDone);
-			}, params.done);
+				var middleware = void 0;
+				try {
+					middleware = resolveMiddleware(_this4, params.hook);
+				} catch (e) {
+					return safeDone(e);
+				}
+				iterateAsyncMiddleware(params.context, middleware, strategy.args, abortable(safeDone, strategy.signal, params.hook), strategy);
+			}, settleCall(strategy, params.done));
 		} else {
-			iterateAsyncMiddleware(params.context, this.getMiddleware(params.hook), hookArgs);
+			iterateAsyncMiddleware(params.context, resolveMiddleware(this, params.hook), strategy.args, null, strategy);
 		}
 		return this;
 	},
@@ -761,7 +2790,8 @@ var methods = {
   * @param {*} [context] - the context in which the middleware will be called
   * @param {String} qualifiedHook - qualified hook e.g. `pre:save`
   * @param {...*} [parameters] - any parameters you wish to pass to the middleware.
-  * @returns {GrapplingHook}
+  * @returns {(GrapplingHook|Array|*)} the value passed to {@link module:grappling-hook.bail bail} if any middleware bailed,
+  * the collected values if the hook was declared or called with the `collect` option, see {@link hookOptions}, the instance itself otherwise
   */
 	callSyncHook: function callSyncHook() {
 		var i = arguments.length;
@@ -770,9 +2800,12 @@ var methods = {
 			args[i] = arguments[i];
 		}
 		var params = parseCallHookParams(this, args);
-		var hookArgs = this.getMiddlewareArgs(params.hook, params.args);
-		iterateSyncMiddleware(params.context, this.getMiddleware(params.hook), hookArgs);
-		return this;
+		var strategy = createPhaseStrategy(this, params.hook, params.state);
+		var bailed = iterateSyncMiddleware(params.context, resolveMiddleware(this, params.hook), strategy.args, strategy);
+		if (bailed) {
+			return bailed.value;
+		}
+		return strategy.collected || this;
 	},
 
 	/**
@@ -784,10 +2817,11 @@ var methods = {
   * @param {*} [context] - the context in which the middleware will be called
   * @param {String} qualifiedHook - qualified hook e.g. `pre:save`
   * @param {...*} [parameters] - any parameters you wish to pass to the middleware.
-  * @returns {thenable} - a thenable, as created with {@link options}.createThenable
+  * @returns {thenable} - a thenable, as created with {@link options}.createThenable, resolving to the collected values
+  * if the hook was declared or called with the `collect` option, see {@link hookOptions}
   */
 	callThenableHook: function callThenableHook() {
-		var _this4 = this;
+		var _this5 = this;
 
 		var params = parseCallHookParams(this, _.toArray(arguments));
 		var deferred = {};
@@ -795,41 +2829,125 @@ var methods = {
 			deferred.resolve = resolve;
 			deferred.reject = reject;
 		});
+		var strategy = createPhaseStrategy(this, params.hook, params.state);
 		dezalgofy(function (safeDone) {
-			var hookArgs = _this4.getMiddlewareArgs(params.hook, params.args);
-			iterateAsyncMiddleware(params.context, _this4.getMiddleware(params.hook), hookArgs, safeDone);
-		}, function (err) {
+			var middleware = void 0;
+			try {
+				middleware = resolveMiddleware(_this5, params.hook);
+			} catch (e) {
+				return safeDone(e);
+			}
+			iterateAsyncMiddleware(params.context, middleware, strategy.args, abortable(safeDone, strategy.signal, params.hook), strategy);
+		}, settleCall(strategy, function (err, value) {
+			if (err) {
+				return deferred.reject(err);
+			}
+			return deferred.resolve(value);
+		}));
+		return thenable;
+	},
+
+	/**
+  * Passes `value` through all middleware subscribed to the asynchronous `qualifiedHook`, each receiving the value produced
+  * by the previous one, i.e. passed to `next`, returned or resolved. Middleware that produces no value passes the current value on.
+  * @since 4.0.0
+  * @instance
+  * @see {@link GrapplingHook#callSyncFilterHook} for calling synchronous filter hooks
+  * @see {@link GrapplingHook#callThenableFilterHook} for calling thenable filter hooks
+  * @param {*} [context] - the context in which the middleware will be called
+  * @param {String} qualifiedHook - qualified hook e.g. `filter:title`
+  * @param {*} value - the value to filter
+  * @param {...*} [parameters] - any further parameters you wish to pass to the middleware.
+  * @param {Function} [callback] - will be called with the error or the final value when all middleware have finished
+  * @returns {GrapplingHook}
+  * @example
+  * instance.filter('title', function(title, page, next) {
+  *   next(null, title + ' | ' + page.site);
+  * });
+  * instance.callFilterHook('filter:title', 'Home', page, function(err, title) {
+  *   console.log(title); // Home | Example
+  * });
+  */
+	callFilterHook: function callFilterHook() {
+		var params = parseCallHookParams(this, _.toArray(arguments));
+		var done = _.isFunction(_.last(params.args)) ? params.args.pop() : _.noop;
+		iterateFilterMiddleware(this, params, done);
+		return this;
+	},
+
+	/**
+  * Passes `value` through all middleware subscribed to the synchronous `qualifiedHook`, each receiving the value returned
+  * by the previous one. Middleware returning `undefined` passes the current value on.
+  * @since 4.0.0
+  * @instance
+  * @see {@link GrapplingHook#callFilterHook} for calling asynchronous filter hooks
+  * @see {@link GrapplingHook#callThenableFilterHook} for calling thenable filter hooks
+  * @param {*} [context] - the context in which the middleware will be called
+  * @param {String} qualifiedHook - qualified hook e.g. `filter:title`
+  * @param {*} value - the value to filter
+  * @param {...*} [parameters] - any further parameters you wish to pass to the middleware.
+  * @returns {*} the final value
+  */
+	callSyncFilterHook: function callSyncFilterHook() {
+		var params = parseCallHookParams(this, _.toArray(arguments));
+		var strategy = createPhaseStrategy(this, params.hook, params.state, 'waterfall');
+		var bailed = iterateSyncMiddleware(params.context, resolveMiddleware(this, params.hook), strategy.args, strategy);
+		return bailed ? bailed.value : strategy.args[0];
+	},
+
+	/**
+  * Passes `value` through all middleware subscribed to the thenable `qualifiedHook`, each receiving the value produced
+  * by the previous one, i.e. passed to `next`, returned or resolved. Middleware that produces no value passes the current value on.
+  * @since 4.0.0
+  * @instance
+  * @see {@link GrapplingHook#callFilterHook} for calling asynchronous filter hooks
+  * @see {@link GrapplingHook#callSyncFilterHook} for calling synchronous filter hooks
+  * @param {*} [context] - the context in which the middleware will be called
+  * @param {String} qualifiedHook - qualified hook e.g. `filter:title`
+  * @param {*} value - the value to filter
+  * @param {...*} [parameters] - any further parameters you wish to pass to the middleware.
+  * @returns {thenable} - a thenable resolving to the final value, as created with {@link options}.createThenable
+  */
+	callThenableFilterHook: function callThenableFilterHook() {
+		var params = parseCallHookParams(this, _.toArray(arguments));
+		var deferred = {};
+		var thenable = this.__grappling.opts.createThenable(function (resolve, reject) {
+			deferred.resolve = resolve;
+			deferred.reject = reject;
+		});
+		iterateFilterMiddleware(this, params, function (err, value) {
 			if (err) {
 				return deferred.reject(err);
 			}
-			return deferred.resolve();
+			return deferred.resolve(value);
 		});
 		return thenable;
 	},
 
 	/**
-  * Retrieve all {@link middleware} registered to `qualifiedHook`
+  * Retrieve all {@link middleware} registered to `qualifiedHook`, in order of execution
   * @instance
   * @param qualifiedHook - qualified hook, e.g. `pre:save`
+  * @param {middlewareFilter} [filter] - only retrieve middleware matching `filter`
   * @returns {middleware[]}
+  * @example
+  * instance.getMiddleware('pre:save', {tag: 'plugin:search'});
   */
-	getMiddleware: function getMiddleware(qualifiedHook) {
-		qualifyHook(parseHook(qualifiedHook));
-		var middleware = this.__grappling.middleware[qualifiedHook];
-		if (middleware) {
-			return middleware.slice(0);
-		}
-		return [];
+	getMiddleware: function getMiddleware(qualifiedHook, filter) {
+		return _.map(_.filter(resolveMiddleware(this, qualifiedHook), function (entry) {
+			return matchesFilter(entry, filter || {});
+		}), 'fn');
 	},
 
 	/**
   * Determines whether any {@link middleware} is registered to `qualifiedHook`.
   * @instance
   * @param {string} qualifiedHook - qualified hook, e.g. `pre:save`
+  * @param {middlewareFilter} [filter] - only take middleware matching `filter` into account
   * @returns {boolean}
   */
-	hasMiddleware: function hasMiddleware(qualifiedHook) {
-		return this.getMiddleware(qualifiedHook).length > 0;
+	hasMiddleware: function hasMiddleware(qualifiedHook, filter) {
+		return this.getMiddleware(qualifiedHook, filter).length > 0;
 	},
 
 	getMiddlewareArgs: function getMiddlewareArgs(qualifiedHook, args) {
@@ -869,6 +2987,18 @@ methods.addAsyncHooks = methods.addHooks;
  */
 methods.callAsyncHook = methods.callHook;
 
+/**
+ * Retrieves the {@link GrapplingHook} methods to add to `target`, leaving out the {@link OPTIONAL_METHODS} it already has.
+ * @param {Object} target - object mixed in or prototype attached to
+ * @returns {Object}
+ * @private
+ */
+function getMethods(target) {
+	return _.omit(methods, _.filter(OPTIONAL_METHODS, function (methodName) {
+		return !_.isUndefined(target[methodName]);
+	}));
+}
+
 /**
  * @module grappling-hook
  * @type {exports|module.exports}
@@ -896,8 +3026,9 @@ module.exports = {
 			args[i] = arguments[i];
 		}
 		instance = args.shift();
+		var mixed = getMethods(instance);
 		init.apply(instance, args);
-		_.assignIn(instance, methods);
+		_.assignIn(instance, mixed);
 		return instance;
 	},
 
@@ -953,13 +3084,14 @@ module.exports = {
 			attachToPrototype: false
 		});
 		var proto = base.prototype ? base.prototype : base;
-		_.forEach(methods, function (fn, methodName) {
+		var attached = getMethods(proto);
+		_.forEach(attached, function (fn, methodName) {
 			proto[methodName] = function () {
-				var _this5 = this;
+				var _this6 = this;
 
 				init.call(this, presets, options);
-				_.forEach(methods, function (fn, methodName) {
-					_this5[methodName] = fn.bind(_this5);
+				_.forEach(attached, function (fn, methodName) {
+					_this6[methodName] = fn.bind(_this6);
 				});
 				return fn.apply(this, arguments);
 			};
@@ -1023,5 +3155,100 @@ module.exports = {
   */
 	isThenable: function isThenable(subject) {
 		return subject && subject.then && _.isFunction(subject.then);
+	},
+
+	/**
+  * @since 4.0.0
+  * @see {@link AggregateMiddlewareError}
+  */
+	AggregateMiddlewareError: AggregateMiddlewareError,
+
+	/**
+  * @since 4.0.0
+  * @see {@link HookError}
+  */
+	HookError: HookError,
+
+	/**
+  * @since 4.0.0
+  * @see {@link HookTimeoutError}
+  */
+	HookTimeoutError: HookTimeoutError,
+
+	/**
+  * @since 4.0.0
+  * @see {@link HookAbortError}
+  */
+	HookAbortError: HookAbortError,
+
+	/**
+  * Creates a marker which ends a chain of middleware with `value` when it's passed to `next`, returned or resolved by middleware.
+  * The remaining middleware is skipped, and in case of wrapped methods also the original method and the `post` middleware,
+  * `value` becoming the result of the wrapped method. `finally` middleware is still executed.
+  * Bailing from `error` middleware recovers from the error with `value`, bailing from `finally` middleware only skips the
+  * remaining `finally` middleware.
+  * When calling hooks directly, `value` is passed to the callback of {@link GrapplingHook#callHook}, resolved by
+  * {@link GrapplingHook#callThenableHook} or returned by {@link GrapplingHook#callSyncHook}.
+  * @since 4.0.0
+  * @param {*} [value]
+  * @returns {Object}
+  * @example
+  * instance.pre('find', function(query, next) {
+  *   var cached = cache.get(query);
+  *   if (cached) {
+  *     return next(null, grappling.bail(cached));
+  *   }
+  *   next();
+  * });
+  * @example
+  * instance.pre('save', function(doc) {
+  *   if (options.dryRun) {
+  *     return grappling.bail(doc);
+  *   }
+  * });
+  */
+	bail: function bail(value) {
+		return new Bail(value);
+	},
+
+	/**
+  * Creates a call context, which can be passed as any parameter to wrapped methods, {@link GrapplingHook#callHook},
+  * {@link GrapplingHook#callSyncHook}, {@link GrapplingHook#callThenableHook} and the filter hook equivalents.
+  * It's taken out of the parameters, so neither the middleware nor the wrapped method receive it, except for middleware
+  * registered with the `callContext` option, see {@link middlewareOptions}.
+  * Once `options.signal` aborts, no further middleware (nor the wrapped method) is started, and the hook fails with a
+  * {@link HookAbortError} right away. Middleware that is running isn't interrupted, but can listen to the signal to stop its own work.
+  * The `error` and `finally` middleware of wrapped methods is still executed. Synchronous hooks can't be aborted.
+  * @since 4.0.0
+  * @param {Object} [options]
+  * @param {AbortSignal} [options.signal] - aborts the hook
+  * @param {(Boolean|String)} [options.collect] - gathers the values produced by the middleware of a called hook for this call
+  * only, overriding {@link hookOptions}.collect
+  * @returns {Object}
+  * @example
+  * instance.pre('render', function(page, context, next) {
+  *   fetch(page.url, {signal: context.signal}).then(function(res) {
+  *     next();
+  *   }, next);
+  * }, {callContext: true});
+  * app.get('/page', function(req, res) {
+  *   var controller = new AbortController();
+  *   req.on('close', function() {
+  *     controller.abort();
+  *   });
+  *   instance.render(page, grappling.callContext({signal: controller.signal}), function(err, html) {
+  *     //...
+  *   });
+  * });
+  * @example
+  * instance.callHook('pre:validate', doc, grappling.callContext({collect: true}), function(err, warnings) {
+  *   console.log(warnings); // ['Missing title']
+  * });
+  */
+	callContext: function callContext(options) {
+		if (options && !_.includes([undefined, true, false, 'named'], options.collect)) {
+			throw new Error('Call context option `collect` should be a Boolean or "named", not "' + options.collect + '"');
+		}
+		return new CallContext(options);
 	}
 };
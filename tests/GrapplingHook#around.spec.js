@@ -0,0 +1,223 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('GrapplingHook#around', function() {
+	var instance;
+	var called;
+	beforeEach(function() {
+		called = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should be exposed by default', function() {
+		expect(instance.around).to.be.a.function();
+	});
+	it('should not be exposed when other qualifiers are configured', function() {
+		instance = subject.create({
+			qualifiers: {
+				pre: 'before',
+				post: 'after'
+			}
+		});
+		expect(instance.around).to.be.undefined();
+	});
+	it('should be exposed when configured in an ordered list of qualifiers', function() {
+		instance = subject.create({
+			qualifiers: ['validate', 'pre', 'around', 'post']
+		});
+		expect(instance.around).to.be.a.function();
+	});
+	describe('with wrapped asynchronous methods', function() {
+		beforeEach(function() {
+			instance.addHooks({
+				test: function(foo, callback) {
+					called.push('method');
+					callback(null, foo + '!');
+				}
+			})
+				.pre('test', $.factories.createNamed('pre', called))
+				.post('test', $.factories.createNamed('post', called));
+		});
+		it('should wrap the method between pre and post middleware', function(done) {
+			instance.around('test', function(foo, proceed, next) {
+				called.push('before');
+				proceed(function(err, result) {
+					called.push('after');
+					next(err, result);
+				});
+			});
+			instance.test('foo', function(err, result) {
+				expect(called).to.eql(['pre', 'before', 'method', 'after', 'post']);
+				expect(result).to.equal('foo!');
+				done();
+			});
+		});
+		it('should nest multiple middleware', function(done) {
+			instance
+				.around('test', function(foo, proceed, next) {
+					called.push('outer');
+					proceed(next);
+				})
+				.around('test', function(foo, proceed, next) {
+					called.push('inner');
+					proceed(next);
+				})
+				.test('foo', function() {
+					expect(called).to.eql(['pre', 'outer', 'inner', 'method', 'post']);
+					done();
+				});
+		});
+		it('should allow replacing the result', function(done) {
+			instance
+				.around('test', function(foo, proceed, next) {
+					proceed(function(err, result) {
+						next(err, result + '?');
+					});
+				})
+				.test('foo', function(err, result) {
+					expect(result).to.equal('foo!?');
+					done();
+				});
+		});
+		it('should allow skipping the method', function(done) {
+			instance
+				.around('test', function(foo, proceed, next) {
+					next(null, 'cached');
+				})
+				.test('foo', function(err, result) {
+					expect(called).to.eql(['pre', 'post']);
+					expect(result).to.equal('cached');
+					done();
+				});
+		});
+		it('should pass errors to the callback', function(done) {
+			var error = new Error();
+			instance
+				.around('test', function() {
+					throw error;
+				})
+				.test('foo', function(err) {
+					expect(err).to.equal(error);
+					expect(called).to.eql(['pre']);
+					done();
+				});
+		});
+		it('should pass a thenable `proceed` to middleware not accepting `next`', function(done) {
+			instance
+				.around('test', function(foo, proceed) {
+					called.push('before');
+					return proceed().then(function(result) {
+						called.push('after');
+						return result + '?';
+					});
+				})
+				.test('foo', function(err, result) {
+					expect(err).to.not.exist();
+					expect(called).to.eql(['pre', 'before', 'method', 'after', 'post']);
+					expect(result).to.equal('foo!?');
+					done();
+				});
+		});
+		it('should replace the result with the value returned by synchronous middleware', function(done) {
+			instance
+				.around('test', function() {
+					return 'cached';
+				})
+				.test('foo', function(err, result) {
+					expect(err).to.not.exist();
+					expect(called).to.eql(['pre', 'post']);
+					expect(result).to.equal('cached');
+					done();
+				});
+		});
+		it('should pass rejections of thenable middleware to the callback', function(done) {
+			var error = new Error();
+			instance
+				.around('test', function(foo, proceed) {
+					return proceed().then(function() {
+						throw error;
+					});
+				})
+				.test('foo', function(err) {
+					expect(err).to.equal(error);
+					expect(called).to.eql(['pre', 'method']);
+					done();
+				});
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		beforeEach(function() {
+			instance.addThenableHooks({
+				test: function(foo) {
+					called.push('method');
+					return P.resolve(foo + '!');
+				}
+			})
+				.pre('test', $.factories.createNamed('pre', called))
+				.post('test', $.factories.createNamed('post', called));
+		});
+		it('should wrap the method and allow replacing the result', function() {
+			instance.around('test', function(foo, proceed) {
+				called.push('before');
+				return proceed().then(function(result) {
+					called.push('after');
+					return result + '?';
+				});
+			});
+			return instance.test('foo').then(function(result) {
+				expect(called).to.eql(['pre', 'before', 'method', 'after', 'post']);
+				expect(result).to.equal('foo!?');
+			});
+		});
+		it('should accept a non-thenable result', function() {
+			instance.around('test', function() {
+				return 'cached';
+			});
+			return instance.test('foo').then(function(result) {
+				expect(called).to.eql(['pre', 'post']);
+				expect(result).to.equal('cached');
+			});
+		});
+		it('should reject when the middleware throws', function() {
+			var error = new Error();
+			instance.around('test', function() {
+				throw error;
+			});
+			return instance.test('foo').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.equal(error);
+			});
+		});
+	});
+	describe('with wrapped sync methods', function() {
+		beforeEach(function() {
+			instance.addSyncHooks({
+				test: function(foo) {
+					called.push('method');
+					return foo + '!';
+				}
+			})
+				.pre('test', $.factories.createNamed('pre', called))
+				.post('test', $.factories.createNamed('post', called));
+		});
+		it('should wrap the method and allow replacing the result', function() {
+			instance.around('test', function(foo, proceed) {
+				called.push('before');
+				var result = proceed();
+				called.push('after');
+				return result + '?';
+			});
+			expect(instance.test('foo')).to.equal('foo!?');
+			expect(called).to.eql(['pre', 'before', 'method', 'after', 'post']);
+		});
+	});
+});
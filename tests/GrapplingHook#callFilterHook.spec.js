@@ -0,0 +1,173 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('GrapplingHook#callFilterHook', function() {
+	var instance;
+	beforeEach(function() {
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+		instance.allowHooks('title');
+	});
+	it('should expose the `filter` qualifier by default', function() {
+		expect(instance.filter).to.be.a.function();
+	});
+	it('should throw an error for an unqualified hook', function() {
+		expect(function() {
+			instance.callFilterHook('title', 'foo');
+		}).to.throw(/qualified/);
+	});
+	it('should return the instance', function() {
+		expect(instance.callFilterHook('filter:title', 'foo')).to.equal(instance);
+	});
+	it('should pass the value unchanged without middleware', function(done) {
+		instance.callFilterHook('filter:title', 'foo', function(err, value) {
+			expect(err).to.be.null();
+			expect(value).to.equal('foo');
+			done();
+		});
+	});
+	it('should reduce the value through the middleware', function(done) {
+		instance
+			.filter('title', function(title, next) {
+				next(null, title + 'A');
+			}, function(title) {
+				return title + 'B';
+			}, function(title) {
+				return P.resolve(title + 'C');
+			})
+			.callFilterHook('filter:title', 'foo', function(err, value) {
+				expect(value).to.equal('fooABC');
+				done();
+			});
+	});
+	it('should pass the current value on for middleware not producing a value', function(done) {
+		instance
+			.filter('title', function(title) {
+				return title + 'A';
+			}, function(title, next) {
+				next();
+			})
+			.callFilterHook('filter:title', 'foo', function(err, value) {
+				expect(value).to.equal('fooA');
+				done();
+			});
+	});
+	it('should pass further parameters to the middleware', function(done) {
+		var page = {site: 'Example'};
+		instance
+			.filter('title', function(title, p) {
+				expect(p).to.equal(page);
+				return title + ' | ' + p.site;
+			})
+			.callFilterHook('filter:title', 'Home', page, function(err, value) {
+				expect(value).to.equal('Home | Example');
+				done();
+			});
+	});
+	it('should call the middleware in `context`', function(done) {
+		var context = {};
+		instance
+			.filter('title', function() {
+				expect(this).to.equal(context);
+			})
+			.callFilterHook(context, 'filter:title', 'foo', function() {
+				done();
+			});
+	});
+	it('should pass errors to the callback', function(done) {
+		var error = new Error('nope');
+		instance
+			.filter('title', function(title, next) {
+				next(error);
+			})
+			.callFilterHook('filter:title', 'foo', function(err) {
+				expect(err).to.equal(error);
+				done();
+			});
+	});
+	it('should pass a bailed value to the callback', function(done) {
+		instance
+			.filter('title', function() {
+				return subject.bail('bar');
+			}, function() {
+				throw new Error('should not be called');
+			})
+			.callFilterHook('filter:title', 'foo', function(err, value) {
+				expect(value).to.equal('bar');
+				done();
+			});
+	});
+	describe('synchronous variant', function() {
+		it('should return the final value', function() {
+			instance.filter('title', function(title) {
+				return title + 'A';
+			}, function() {
+			}, function(title) {
+				return title + 'B';
+			});
+			expect(instance.callSyncFilterHook('filter:title', 'foo')).to.equal('fooAB');
+		});
+		it('should return a bailed value', function() {
+			instance.filter('title', function() {
+				return subject.bail('bar');
+			});
+			expect(instance.callSyncFilterHook('filter:title', 'foo')).to.equal('bar');
+		});
+		it('should throw errors', function() {
+			instance.filter('title', function() {
+				throw new Error('nope');
+			});
+			expect(function() {
+				instance.callSyncFilterHook('filter:title', 'foo');
+			}).to.throw(/nope/);
+		});
+	});
+	describe('thenable variant', function() {
+		it('should resolve with the final value', function() {
+			instance.filter('title', function(title) {
+				return P.resolve(title + 'A');
+			}, function(title, next) {
+				next(null, title + 'B');
+			});
+			return instance.callThenableFilterHook('filter:title', 'foo').then(function(value) {
+				expect(value).to.equal('fooAB');
+			});
+		});
+		it('should reject with errors', function() {
+			var error = new Error('nope');
+			instance.filter('title', function() {
+				return P.reject(error);
+			});
+			return instance.callThenableFilterHook('filter:title', 'foo').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.equal(error);
+			});
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should not execute filter middleware', function(done) {
+			instance.addHooks({
+				title: function(callback) {
+					callback(null, 'foo');
+				}
+			});
+			instance
+				.filter('title', function() {
+					throw new Error('should not be called');
+				})
+				.title(function(err, result) {
+					expect(err).to.not.exist();
+					expect(result).to.equal('foo');
+					done();
+				});
+		});
+	});
+});
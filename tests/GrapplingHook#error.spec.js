@@ -0,0 +1,192 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('GrapplingHook#error', function() {
+	var instance;
+	var error;
+	beforeEach(function() {
+		error = new Error('original');
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should be exposed by default', function() {
+		expect(instance.error).to.be.a.function();
+	});
+	it('should not be exposed when other qualifiers are configured', function() {
+		instance = subject.create({
+			qualifiers: {
+				pre: 'before',
+				post: 'after'
+			}
+		});
+		expect(instance.error).to.be.undefined();
+	});
+	describe('with wrapped asynchronous methods', function() {
+		var failing;
+		beforeEach(function() {
+			failing = 'method';
+			instance.addHooks({
+				test: function(foo, callback) {
+					if (failing === 'method') {
+						return callback(error);
+					}
+					callback(null, foo);
+				}
+			});
+		});
+		it('should receive the error and the parameters', function(done) {
+			instance.error('test', function(err, foo, next) {
+				expect(err).to.equal(error);
+				expect(foo).to.equal('foo');
+				next();
+			});
+			instance.test('foo', function(err) {
+				expect(err).to.equal(error);
+				done();
+			});
+		});
+		it('should be executed for errors of pre middleware', function(done) {
+			failing = 'pre';
+			instance
+				.pre('test', function() {
+					throw error;
+				})
+				.error('test', function(err, foo, next) {
+					next(null, 'recovered');
+				})
+				.test('foo', function(err, result) {
+					expect(err).to.be.null();
+					expect(result).to.equal('recovered');
+					done();
+				});
+		});
+		it('should be executed for errors of post middleware', function(done) {
+			failing = 'post';
+			instance
+				.post('test', function(foo, next) {
+					next(error);
+				})
+				.error('test', function(err, foo, next) {
+					next(new Error('translated'));
+				})
+				.test('foo', function(err) {
+					expect(err.message).to.equal('translated');
+					done();
+				});
+		});
+		it('should pass translated errors to the next error middleware', function(done) {
+			instance
+				.error('test', function() {
+					throw new Error('translated');
+				})
+				.error('test', function(err, foo, next) {
+					expect(err.message).to.equal('translated');
+					next();
+				})
+				.test('foo', function(err) {
+					expect(err.message).to.equal('translated');
+					done();
+				});
+		});
+		it('should skip the remaining error middleware once recovered', function(done) {
+			var called = false;
+			instance
+				.error('test', function() {
+					return 'recovered';
+				})
+				.error('test', function() {
+					called = true;
+				})
+				.test('foo', function(err, result) {
+					expect(called).to.be.false();
+					expect(result).to.equal('recovered');
+					done();
+				});
+		});
+		it('should not be executed when there is no error', function(done) {
+			failing = false;
+			var called = false;
+			instance
+				.error('test', function() {
+					called = true;
+				})
+				.test('foo', function(err, result) {
+					expect(called).to.be.false();
+					expect(result).to.equal('foo');
+					done();
+				});
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		beforeEach(function() {
+			instance.addThenableHooks({
+				test: function() {
+					return P.reject(error);
+				}
+			});
+		});
+		it('should allow recovering with a resolved value', function() {
+			instance.error('test', function(err) {
+				return P.resolve(err.message + ' recovered');
+			});
+			return instance.test().then(function(result) {
+				expect(result).to.equal('original recovered');
+			});
+		});
+		it('should allow translating with a rejected value', function() {
+			var translated = new Error('translated');
+			instance.error('test', function() {
+				return P.reject(translated);
+			});
+			return instance.test().then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.equal(translated);
+			});
+		});
+		it('should reject with the original error by default', function() {
+			instance.error('test', function() {
+			});
+			return instance.test().then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.equal(error);
+			});
+		});
+	});
+	describe('with wrapped sync methods', function() {
+		beforeEach(function() {
+			instance.addSyncHooks({
+				test: function() {
+					throw error;
+				}
+			});
+		});
+		it('should allow recovering by returning a value', function() {
+			instance.error('test', function() {
+				return 'recovered';
+			});
+			expect(instance.test()).to.equal('recovered');
+		});
+		it('should allow translating by throwing', function() {
+			instance.error('test', function() {
+				throw new Error('translated');
+			});
+			expect(function() {
+				instance.test();
+			}).to.throw(/translated/);
+		});
+		it('should throw the original error by default', function() {
+			expect(function() {
+				instance.test();
+			}).to.throw(/original/);
+		});
+	});
+});
@@ -0,0 +1,151 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('GrapplingHook#finally', function() {
+	var instance;
+	var error;
+	var called;
+	beforeEach(function() {
+		called = [];
+		error = new Error('original');
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should be exposed by default', function() {
+		expect(instance.finally).to.be.a.function();
+	});
+	describe('with wrapped asynchronous methods', function() {
+		beforeEach(function() {
+			instance.addHooks({
+				test: function(foo, callback) {
+					called.push('method');
+					callback(null, foo + '!');
+				}
+			});
+		});
+		it('should receive the result and the parameters on success', function(done) {
+			instance
+				.finally('test', function(err, result, foo) {
+					expect(err).to.be.null();
+					expect(result).to.equal('foo!');
+					expect(foo).to.equal('foo');
+					called.push('finally');
+				})
+				.post('test', function() {
+					called.push('post');
+				})
+				.test('foo', function(err, result) {
+					expect(called).to.eql(['method', 'post', 'finally']);
+					expect(result).to.equal('foo!');
+					done();
+				});
+		});
+		it('should be executed when pre middleware fails', function(done) {
+			instance
+				.pre('test', function(foo, next) {
+					next(error);
+				})
+				.finally('test', function(err, result, foo, next) {
+					expect(err).to.equal(error);
+					expect(result).to.be.undefined();
+					called.push('finally');
+					setTimeout(next, 0);
+				})
+				.test('foo', function(err) {
+					expect(err).to.equal(error);
+					expect(called).to.eql(['finally']);
+					done();
+				});
+		});
+		it('should receive errors as translated by error middleware', function(done) {
+			var translated = new Error('translated');
+			instance
+				.pre('test', function() {
+					throw error;
+				})
+				.error('test', function() {
+					throw translated;
+				})
+				.finally('test', function(err) {
+					expect(err).to.equal(translated);
+				})
+				.test('foo', function(err) {
+					expect(err).to.equal(translated);
+					done();
+				});
+		});
+		it('should not change the outcome with values', function(done) {
+			instance
+				.finally('test', function() {
+					return 'other';
+				})
+				.test('foo', function(err, result) {
+					expect(result).to.equal('foo!');
+					done();
+				});
+		});
+		it('should fail the wrapped method when it fails itself', function(done) {
+			instance
+				.finally('test', function() {
+					throw error;
+				})
+				.test('foo', function(err) {
+					expect(err).to.equal(error);
+					done();
+				});
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		it('should be executed when the method rejects', function() {
+			instance.addThenableHooks({
+				test: function() {
+					return P.reject(error);
+				}
+			})
+				.finally('test', function(err, result) {
+					called.push(err, result);
+				});
+			return instance.test().then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.equal(error);
+				expect(called).to.eql([error, undefined]);
+			});
+		});
+	});
+	describe('with wrapped sync methods', function() {
+		it('should be executed when the method throws', function() {
+			instance.addSyncHooks({
+				test: function() {
+					throw error;
+				}
+			})
+				.finally('test', function(err) {
+					called.push(err);
+				});
+			expect(function() {
+				instance.test();
+			}).to.throw(/original/);
+			expect(called).to.eql([error]);
+		});
+		it('should receive the result on success', function() {
+			instance.addSyncHooks({
+				test: function() {
+					return 'result';
+				}
+			})
+				.finally('test', function(err, result) {
+					called.push(err, result);
+				});
+			expect(instance.test()).to.equal('result');
+			expect(called).to.eql([null, 'result']);
+		});
+	});
+});
@@ -0,0 +1,106 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var sinon = require('sinon');
+var P = require('bluebird');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('GrapplingHook#once', function() {
+	var instance;
+	var callback;
+	beforeEach(function() {
+		callback = sinon.spy();
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+		instance.allowHooks($.TEST);
+	});
+	it('should throw an error for unqualified hooks', function() {
+		expect(function() {
+			instance.once('test', callback);
+		}).to.throw(/qualified/);
+	});
+	it('should return the instance when a callback is provided', function() {
+		expect(instance.once($.PRE_TEST, callback)).to.equal(instance);
+	});
+	it('should execute the middleware only once', function() {
+		instance.once($.PRE_TEST, callback)
+			.callSyncHook($.PRE_TEST)
+			.callSyncHook($.PRE_TEST);
+		expect(callback.callCount).to.equal(1);
+	});
+	it('should remove the middleware after execution', function(done) {
+		instance.once($.PRE_TEST, callback)
+			.callHook($.PRE_TEST, function() {
+				expect(instance.hasMiddleware($.PRE_TEST)).to.be.false();
+				done();
+			});
+	});
+	it('should execute the middleware only once in concurrently running chains', function(done) {
+		instance
+			.hook($.PRE_TEST, function(next) {
+				setTimeout(next, 0);
+			})
+			.once($.PRE_TEST, callback);
+		instance.callHook($.PRE_TEST, function() {
+			instance.callHook($.PRE_TEST, function() {
+				expect(callback.callCount).to.equal(1);
+				done();
+			});
+		});
+		instance.callHook($.PRE_TEST, function() {
+		});
+	});
+	it('should accept other registration options', function() {
+		var called = [];
+		instance
+			.hook($.PRE_TEST, function() {
+				called.push('default');
+			})
+			.once($.PRE_TEST, function() {
+				called.push('once');
+			}, {priority: 1})
+			.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['once', 'default']);
+	});
+});
+
+describe('middleware options: `times`', function() {
+	var instance;
+	var callback;
+	beforeEach(function() {
+		callback = sinon.spy();
+		instance = subject.create();
+		instance.allowHooks($.TEST);
+	});
+	it('should execute the middleware the configured number of times', function() {
+		instance.pre($.TEST, callback, {times: 2});
+		for (var i = 0; i < 4; i++) {
+			instance.callSyncHook($.PRE_TEST);
+		}
+		expect(callback.callCount).to.equal(2);
+	});
+	it('should apply to wrapped methods', function(done) {
+		instance.test = function(callback) {
+			callback();
+		};
+		instance
+			.addHooks($.TEST)
+			.post($.TEST, callback, {times: 1})
+			.test(function() {
+				instance.test(function() {
+					expect(callback.callCount).to.equal(1);
+					done();
+				});
+			});
+	});
+	it('should throw an error for invalid values', function() {
+		expect(function() {
+			instance.pre($.TEST, callback, {times: 0});
+		}).to.throw(/positive integer/);
+	});
+});
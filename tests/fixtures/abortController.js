@@ -0,0 +1,31 @@
+'use strict';
+
+var _ = require('lodash');
+
+//stands in for `AbortController`, which isn't available on older node versions
+module.exports = function() {
+	var listeners = [];
+	var signal = {
+		aborted: false,
+		reason: undefined,
+		addEventListener: function(type, listener) {
+			listeners.push(listener);
+		},
+		removeEventListener: function(type, listener) {
+			listeners = _.without(listeners, listener);
+		}
+	};
+	return {
+		signal: signal,
+		abort: function(reason) {
+			if (signal.aborted) {
+				return;
+			}
+			signal.aborted = true;
+			signal.reason = reason;
+			_.forEach(listeners, function(listener) {
+				listener();
+			});
+		}
+	};
+};
@@ -108,6 +108,12 @@ module.exports.createSync = function createSync(name, receiver) {
 	};
 };
 
+module.exports.createNamed = function createNamed(name, receiver) {
+	return function() {
+		receiver.push(name);
+	};
+};
+
 module.exports.createSyncWithArgs = function createSyncWithArgs(name, receiver) {
 	var ref = new Ref({
 		name: name,
@@ -0,0 +1,130 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('hook options: aggregateErrors', function() {
+	var instance;
+	var called;
+	var failParallel = function(name, delay) {
+		return function(next, done) {
+			called.push(name);
+			next();
+			setTimeout(function() {
+				done(new Error(name));
+			}, delay);
+		};
+	};
+	beforeEach(function() {
+		called = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should expose `AggregateMiddlewareError`', function() {
+		expect(subject.AggregateMiddlewareError).to.be.a.function();
+	});
+	describe('with parallel middleware', function() {
+		it('should collect the errors of all parallel middleware', function(done) {
+			instance.allowHooks('post:save', {aggregateErrors: true});
+			var second = failParallel('B', 20);
+			instance
+				.post('save', failParallel('A', 10), {name: 'index'})
+				.post('save', second)
+				.callHook('post:save', function(err) {
+					expect(err).to.be.an.instanceof(subject.AggregateMiddlewareError);
+					expect(err).to.be.an.instanceof(Error);
+					expect(err.hook).to.equal('post:save');
+					expect(err.errors.map(function(e) {
+						return e.message;
+					})).to.eql(['A', 'B']);
+					expect(err.middleware[1]).to.equal(second);
+					expect(err.message).to.match(/2 middleware of post:save failed: "index" \(A\)/);
+					done();
+				});
+		});
+		it('should wait for running parallel middleware when serial middleware fails', function(done) {
+			instance.allowHooks('post:save', {aggregateErrors: true});
+			instance
+				.post('save', failParallel('A', 20), function(next) {
+					next(new Error('B'));
+				}, function() {
+					called.push('C');
+				})
+				.callHook('post:save', function(err) {
+					expect(err.errors.map(function(e) {
+						return e.message;
+					})).to.eql(['B', 'A']);
+					expect(called).to.eql(['A']);
+					done();
+				});
+		});
+		it('should only report the first error without the option', function(done) {
+			instance.allowHooks('post:save');
+			instance
+				.post('save', failParallel('A', 10), failParallel('B', 20))
+				.callHook('post:save', function(err) {
+					expect(err).to.not.be.an.instanceof(subject.AggregateMiddlewareError);
+					expect(err.message).to.equal('A');
+					done();
+				});
+		});
+	});
+	describe('with hooks in parallel mode', function() {
+		it('should execute all middleware and collect all errors', function() {
+			instance.allowHooks('post:save', {mode: 'parallel', aggregateErrors: true});
+			instance.post('save', function() {
+				return P.delay(10).throw(new Error('A'));
+			}, function() {
+				called.push('B');
+			}, function(next) {
+				next(new Error('C'));
+			});
+			return instance.callThenableHook('post:save').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.errors.map(function(e) {
+					return e.message;
+				})).to.eql(['C', 'A']);
+				expect(called).to.eql(['B']);
+			});
+		});
+	});
+	describe('with hooks in any mode', function() {
+		it('should collect all errors if all middleware fails', function() {
+			instance.allowHooks('pre:resolve', {mode: 'any', aggregateErrors: true});
+			instance.pre('resolve', function() {
+				return P.delay(10).throw(new Error('A'));
+			}, function() {
+				return P.reject(new Error('B'));
+			});
+			return instance.callThenableHook('pre:resolve').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.be.an.instanceof(subject.AggregateMiddlewareError);
+				expect(err.errors.length).to.equal(2);
+			});
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should pass the aggregated error to the callback', function(done) {
+			instance.addHooks({
+				save: function(callback) {
+					callback();
+				}
+			});
+			instance.allowHooks('post:save', {aggregateErrors: true});
+			instance
+				.post('save', failParallel('A', 10), failParallel('B', 5))
+				.save(function(err) {
+					expect(err).to.be.an.instanceof(subject.AggregateMiddlewareError);
+					expect(err.errors.length).to.equal(2);
+					done();
+				});
+		});
+	});
+});
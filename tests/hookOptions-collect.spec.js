@@ -0,0 +1,145 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('hook options: collect', function() {
+	var instance;
+	beforeEach(function() {
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should throw an error for invalid values', function() {
+		expect(function() {
+			instance.allowHooks('pre:validate', {collect: 'nope'});
+		}).to.throw(/collect/);
+	});
+	describe('enabled', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:validate', {collect: true});
+			instance.pre('validate', function(doc, next) {
+				next(null, 'A');
+			}, function() {
+				return P.resolve('B');
+			}, function() {
+				//produces nothing
+			}, function(doc, next) {
+				next(null, 'C', 'D');
+			});
+		});
+		it('should pass the collected values to the callback of `callHook`', function(done) {
+			instance.callHook('pre:validate', {}, function(err, results) {
+				expect(err).to.be.null();
+				expect(results).to.eql(['A', 'B', ['C', 'D']]);
+				done();
+			});
+		});
+		it('should resolve `callThenableHook` with the collected values', function() {
+			return instance.callThenableHook('pre:validate', {}).then(function(results) {
+				expect(results).to.eql(['A', 'B', ['C', 'D']]);
+			});
+		});
+		it('should leave out middleware passing `undefined` to `next`', function() {
+			instance.pre('validate', function(doc, next) {
+				next(null, undefined);
+			});
+			return instance.callThenableHook('pre:validate', {}).then(function(results) {
+				expect(results).to.eql(['A', 'B', ['C', 'D']]);
+			});
+		});
+		it('should not collect values of other hooks', function() {
+			instance.allowHooks('pre:other');
+			instance.pre('other', function() {
+				return 'A';
+			});
+			return instance.callThenableHook('pre:other').then(function(results) {
+				expect(results).to.be.undefined();
+			});
+		});
+	});
+	describe('with synchronous hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:validate', {collect: true});
+		});
+		it('should return the collected values', function() {
+			instance.pre('validate', function() {
+				return 'A';
+			}, function() {
+			}, function() {
+				return 'B';
+			});
+			expect(instance.callSyncHook('pre:validate')).to.eql(['A', 'B']);
+		});
+		it('should return an empty array without middleware', function() {
+			expect(instance.callSyncHook('pre:validate')).to.eql([]);
+		});
+		it('should return the instance for hooks without the option', function() {
+			instance.allowHooks('pre:other');
+			expect(instance.callSyncHook('pre:other')).to.equal(instance);
+		});
+	});
+	describe('named', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:validate', {collect: 'named'});
+		});
+		it('should tag values with the middleware names', function() {
+			instance.pre('validate', function() {
+				return 'A';
+			}, {name: 'title'});
+			instance.pre('validate', function checkBody() {
+				return 'B';
+			});
+			instance.pre('validate', [function() {
+				return 'C';
+			}]);
+			expect(instance.callSyncHook('pre:validate')).to.eql([
+				{name: 'title', value: 'A'},
+				{name: 'checkBody', value: 'B'},
+				{name: undefined, value: 'C'}
+			]);
+		});
+	});
+	describe('per call', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:validate');
+			instance.pre('validate', function(doc, next) {
+				next(null, 'A');
+			}, function checkBody() {
+				return 'B';
+			});
+		});
+		it('should throw an error for invalid values', function() {
+			expect(function() {
+				subject.callContext({collect: 'nope'});
+			}).to.throw(/collect/);
+		});
+		it('should collect the values of a single call to `callHook`', function(done) {
+			instance.callHook('pre:validate', {}, subject.callContext({collect: true}), function(err, values) {
+				expect(err).to.not.exist();
+				expect(values).to.eql(['A', 'B']);
+				instance.callHook('pre:validate', {}, function(err, values) {
+					expect(values).to.be.undefined();
+					done();
+				});
+			});
+		});
+		it('should collect the values of a single call to `callThenableHook`', function() {
+			return instance.callThenableHook('pre:validate', {}, subject.callContext({collect: 'named'})).then(function(values) {
+				expect(values).to.eql([{name: undefined, value: 'A'}, {name: 'checkBody', value: 'B'}]);
+			});
+		});
+		it('should override the option the hook was declared with', function() {
+			instance.allowHooks('pre:check', {collect: true});
+			instance.pre('check', function() {
+				return 'A';
+			});
+			expect(instance.callSyncHook('pre:check', subject.callContext({collect: false}))).to.equal(instance);
+			expect(instance.callSyncHook('pre:check')).to.eql(['A']);
+		});
+	});
+});
@@ -0,0 +1,122 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('hook options: loop mode', function() {
+	var instance;
+	var called;
+	var pending;
+	beforeEach(function() {
+		called = [];
+		pending = 2;
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should throw an error for an invalid `maxIterations`', function() {
+		expect(function() {
+			instance.allowHooks('pre:resolve', {mode: 'loop', maxIterations: 0});
+		}).to.throw(/maxIterations/);
+	});
+	describe('with called hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:resolve', {mode: 'loop'});
+			instance.pre('resolve', function() {
+				called.push('A');
+			}, function(next) {
+				called.push('B');
+				if (pending) {
+					pending--;
+					return next(null, true);
+				}
+				next();
+			}, function() {
+				called.push('C');
+			});
+		});
+		it('should restart asynchronous chains until no middleware produces a value', function(done) {
+			instance.callHook('pre:resolve', function(err) {
+				expect(err).to.not.exist();
+				expect(called).to.eql(['A', 'B', 'A', 'B', 'A', 'B', 'C']);
+				done();
+			});
+		});
+		it('should restart thenable chains until no middleware produces a value', function() {
+			return instance.callThenableHook('pre:resolve').then(function() {
+				expect(called).to.eql(['A', 'B', 'A', 'B', 'A', 'B', 'C']);
+			});
+		});
+		it('should not restart the chain for middleware passing `undefined` to `next`', function(done) {
+			instance.pre('resolve', function(next) {
+				called.push('D');
+				next(null, undefined);
+			});
+			instance.callHook('pre:resolve', function(err) {
+				expect(err).to.not.exist();
+				expect(called).to.eql(['A', 'B', 'A', 'B', 'A', 'B', 'C', 'D']);
+				done();
+			});
+		});
+		it('should fail once `maxIterations` is exceeded', function(done) {
+			instance.allowHooks('pre:resolve', {maxIterations: 2});
+			instance.callHook('pre:resolve', function(err) {
+				expect(err).to.be.an.instanceof(Error);
+				expect(err.message).to.match(/pre:resolve.*2 iterations/);
+				expect(called).to.eql(['A', 'B', 'A', 'B']);
+				done();
+			});
+		});
+	});
+	describe('with synchronous hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:resolve', {mode: 'loop', maxIterations: 3});
+		});
+		it('should restart the chain until no middleware produces a value', function() {
+			instance.pre('resolve', function() {
+				called.push('A');
+			}, function() {
+				called.push('B');
+				if (pending) {
+					pending--;
+					return true;
+				}
+			});
+			instance.callSyncHook('pre:resolve');
+			expect(called).to.eql(['A', 'B', 'A', 'B', 'A', 'B']);
+		});
+		it('should throw once `maxIterations` is exceeded', function() {
+			instance.pre('resolve', function() {
+				return true;
+			});
+			expect(function() {
+				instance.callSyncHook('pre:resolve');
+			}).to.throw(/3 iterations/);
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should restart the phase before calling the method', function() {
+			instance.addThenableHooks({
+				resolve: function() {
+					called.push('method');
+					return P.resolve();
+				}
+			});
+			instance.allowHooks('pre:resolve', {mode: 'loop'});
+			instance.pre('resolve', function() {
+				called.push('pre');
+				if (pending) {
+					pending--;
+					return P.resolve(true);
+				}
+			});
+			return instance.resolve().then(function() {
+				expect(called).to.eql(['pre', 'pre', 'pre', 'method']);
+			});
+		});
+	});
+});
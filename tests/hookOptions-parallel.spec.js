@@ -0,0 +1,120 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('hook options: parallel mode', function() {
+	var instance;
+	var called;
+	var running;
+	var maxRunning;
+	var createMiddleware = function(name, delay) {
+		return function(next) {
+			running++;
+			maxRunning = Math.max(running, maxRunning);
+			called.push('start ' + name);
+			setTimeout(function() {
+				running--;
+				called.push('end ' + name);
+				next(null, name);
+			}, delay);
+		};
+	};
+	beforeEach(function() {
+		called = [];
+		running = 0;
+		maxRunning = 0;
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should throw an error for an invalid `concurrency`', function() {
+		expect(function() {
+			instance.allowHooks('post:save', {mode: 'parallel', concurrency: -1});
+		}).to.throw(/concurrency/);
+	});
+	describe('with called hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('post:save', {mode: 'parallel'});
+		});
+		it('should start all middleware at once and wait for all of them', function(done) {
+			instance
+				.post('save', createMiddleware('A', 30), createMiddleware('B', 10), createMiddleware('C', 20))
+				.callHook('post:save', function(err) {
+					expect(err).to.not.exist();
+					expect(called).to.eql(['start A', 'start B', 'start C', 'end B', 'end C', 'end A']);
+					done();
+				});
+		});
+		it('should run thenable middleware at once', function() {
+			instance.post('save', function() {
+				called.push('start A');
+				return P.delay(20).then(function() {
+					called.push('end A');
+				});
+			}, function() {
+				called.push('start B');
+				return P.delay(10).then(function() {
+					called.push('end B');
+				});
+			});
+			return instance.callThenableHook('post:save').then(function() {
+				expect(called).to.eql(['start A', 'start B', 'end B', 'end A']);
+			});
+		});
+		it('should limit the number of concurrently executed middleware to `concurrency`', function(done) {
+			instance.allowHooks('post:save', {concurrency: 2});
+			instance
+				.post('save', createMiddleware('A', 30), createMiddleware('B', 10), createMiddleware('C', 10))
+				.callHook('post:save', function(err) {
+					expect(err).to.not.exist();
+					expect(maxRunning).to.equal(2);
+					expect(called).to.eql(['start A', 'start B', 'end B', 'start C', 'end C', 'end A']);
+					done();
+				});
+		});
+		it('should fail with the first error', function(done) {
+			var error = new Error('nope');
+			instance
+				.post('save', createMiddleware('A', 30), function(next) {
+					setTimeout(function() {
+						next(error);
+					}, 10);
+				})
+				.callHook('post:save', function(err) {
+					expect(err).to.equal(error);
+					expect(called).to.eql(['start A']);
+					done();
+				});
+		});
+		it('should collect values in order of completion', function() {
+			instance.allowHooks('post:save', {collect: true});
+			instance.post('save', createMiddleware('A', 20), createMiddleware('B', 10));
+			return instance.callThenableHook('post:save').then(function(results) {
+				expect(results).to.eql(['B', 'A']);
+			});
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should run post middleware at once', function(done) {
+			instance.addHooks({
+				save: function(callback) {
+					called.push('method');
+					callback();
+				}
+			});
+			instance.allowHooks('post:save', {mode: 'parallel'});
+			instance
+				.post('save', createMiddleware('A', 20), createMiddleware('B', 10))
+				.save(function(err) {
+					expect(err).to.not.exist();
+					expect(called).to.eql(['method', 'start A', 'start B', 'end B', 'end A']);
+					done();
+				});
+		});
+	});
+});
@@ -0,0 +1,121 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('hook options: race and any modes', function() {
+	var instance;
+	var called;
+	var succeed = function(name, delay) {
+		return function(next) {
+			called.push(name);
+			setTimeout(function() {
+				next(null, name);
+			}, delay);
+		};
+	};
+	var fail = function(name, delay) {
+		return function() {
+			called.push(name);
+			return P.delay(delay).then(function() {
+				throw new Error(name);
+			});
+		};
+	};
+	beforeEach(function() {
+		called = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	describe('race', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:resolve', {mode: 'race'});
+		});
+		it('should pass the value of the first middleware to finish to the callback', function(done) {
+			instance
+				.pre('resolve', succeed('A', 30), succeed('B', 10), succeed('C', 20))
+				.callHook('pre:resolve', function(err, value) {
+					expect(err).to.not.exist();
+					expect(value).to.equal('B');
+					expect(called).to.eql(['A', 'B', 'C']);
+					done();
+				});
+		});
+		it('should resolve with the value of the first middleware to finish', function() {
+			instance.pre('resolve', function() {
+				return P.delay(20).return('A');
+			}, function() {
+				return P.delay(10).return('B');
+			});
+			return instance.callThenableHook('pre:resolve').then(function(value) {
+				expect(value).to.equal('B');
+			});
+		});
+		it('should fail if the first middleware to finish fails', function() {
+			instance.pre('resolve', succeed('A', 20), fail('B', 10));
+			return instance.callThenableHook('pre:resolve').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.message).to.equal('B');
+			});
+		});
+		it('should finish without value without middleware', function() {
+			return instance.callThenableHook('pre:resolve').then(function(value) {
+				expect(value).to.be.undefined();
+			});
+		});
+		it('should finish with the first parallel middleware calling `next`', function(done) {
+			instance
+				.pre('resolve', function(next, mwDone) {
+					setTimeout(function() {
+						next(null, 'A');
+					}, 10);
+					setTimeout(mwDone, 30);
+				}, succeed('B', 20))
+				.callHook('pre:resolve', function(err, value) {
+					expect(value).to.equal('A');
+					done();
+				});
+		});
+	});
+	describe('any', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:resolve', {mode: 'any'});
+		});
+		it('should resolve with the value of the first middleware to succeed', function() {
+			instance.pre('resolve', succeed('A', 30), fail('B', 10), succeed('C', 20));
+			return instance.callThenableHook('pre:resolve').then(function(value) {
+				expect(value).to.equal('C');
+			});
+		});
+		it('should fail with the last error if all middleware fails', function(done) {
+			instance
+				.pre('resolve', fail('A', 10), fail('B', 20))
+				.callHook('pre:resolve', function(err) {
+					expect(err.message).to.equal('B');
+					done();
+				});
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should call the method once the first pre middleware finished', function() {
+			instance.addThenableHooks({
+				resolve: function() {
+					called.push('method');
+					return P.resolve('result');
+				}
+			});
+			instance.allowHooks('pre:resolve', {mode: 'race'});
+			instance.pre('resolve', succeed('A', 10), succeed('B', 30));
+			return instance.resolve().then(function(result) {
+				expect(result).to.equal('result');
+				expect(called).to.eql(['A', 'B', 'method']);
+			});
+		});
+	});
+});
@@ -0,0 +1,171 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('hook options: waterfall mode', function() {
+	var instance;
+	var received;
+	beforeEach(function() {
+		received = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should throw an error for unknown modes', function() {
+		expect(function() {
+			instance.allowHooks('pre:test', {mode: 'nope'});
+		}).to.throw(/waterfall/);
+	});
+	describe('with called hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('pre:test', {mode: 'waterfall'});
+		});
+		it('should ignore values beyond the number of parameters', function(done) {
+			instance
+				.pre('test', function(foo, bar, next) {
+					next(null, foo + 'A', bar + 'A', 'extra');
+				}, function(foo, bar, next) {
+					received.push(foo, bar);
+					next();
+				})
+				.callHook('pre:test', 'foo', 'bar', function(err) {
+					expect(err).to.not.exist();
+					expect(received).to.eql(['fooA', 'barA']);
+					done();
+				});
+		});
+		it('should pass the values passed to `next` on to the next middleware', function(done) {
+			instance
+				.pre('test', function(foo, bar, next) {
+					next(null, foo + 'A');
+				}, function(foo, bar, next) {
+					received.push(foo, bar);
+					next();
+				})
+				.callHook('pre:test', 'foo', 'bar', function() {
+					expect(received).to.eql(['fooA', 'bar']);
+					done();
+				});
+		});
+		it('should pass returned and resolved values on to the next middleware', function() {
+			instance.pre('test', function(foo) {
+				return foo + 'A';
+			}, function(foo) {
+				return P.resolve(foo + 'B');
+			}, function(foo) {
+				received.push(foo);
+			});
+			return instance.callThenableHook('pre:test', 'foo').then(function() {
+				expect(received).to.eql(['fooAB']);
+			});
+		});
+		it('should not replace parameters with `undefined` passed to `next`', function(done) {
+			instance
+				.pre('test', function(foo, bar, next) {
+					next(null, undefined);
+				}, function(foo, bar, next) {
+					received.push(foo, bar);
+					next();
+				})
+				.callHook('pre:test', 'foo', 'bar', function() {
+					expect(received).to.eql(['foo', 'bar']);
+					done();
+				});
+		});
+		it('should replace multiple parameters', function() {
+			instance.pre('test', function(foo, bar, next) {
+				next(null, 'baz', 'qux');
+			}, function(foo, bar) {
+				received.push(foo, bar);
+			});
+			return instance.callThenableHook('pre:test', 'foo', 'bar').then(function() {
+				expect(received).to.eql(['baz', 'qux']);
+			});
+		});
+		it('should pass returned values on in synchronous hooks', function() {
+			instance.pre('test', function(foo) {
+				return foo + 'A';
+			}, function(foo) {
+				received.push(foo);
+			});
+			instance.callSyncHook('pre:test', 'foo');
+			expect(received).to.eql(['fooA']);
+		});
+		it('should not affect other hooks', function() {
+			instance.allowHooks('pre:other');
+			instance.pre('other', function(foo) {
+				return foo + 'A';
+			}, function(foo) {
+				received.push(foo);
+			});
+			instance.callSyncHook('pre:other', 'foo');
+			expect(received).to.eql(['foo']);
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should pass the final values to asynchronous methods', function(done) {
+			instance.addHooks({
+				test: function(foo, callback) {
+					callback(null, foo + '!');
+				}
+			});
+			instance.allowHooks('pre:test', {mode: 'waterfall'});
+			instance
+				.pre('test', function(foo, next) {
+					next(null, foo + 'A');
+				}, function(foo) {
+					return P.resolve(foo + 'B');
+				})
+				.test('foo', function(err, result) {
+					expect(result).to.equal('fooAB!');
+					done();
+				});
+		});
+		it('should pass the final values to thenable methods', function() {
+			instance.addThenableHooks({
+				test: function(foo) {
+					return P.resolve(foo + '!');
+				}
+			});
+			instance.allowHooks('pre:test', {mode: 'waterfall'});
+			instance.pre('test', function(foo) {
+				return foo + 'A';
+			});
+			return instance.test('foo').then(function(result) {
+				expect(result).to.equal('fooA!');
+			});
+		});
+		it('should pass the final values to synchronous methods', function() {
+			instance.addSyncHooks({
+				test: function(foo) {
+					return foo + '!';
+				}
+			});
+			instance.allowHooks('test', {mode: 'waterfall'});
+			instance.pre('test', function(foo) {
+				return foo + 'A';
+			});
+			instance.post('test', function(foo) {
+				received.push(foo);
+			});
+			expect(instance.test('foo')).to.equal('fooA!');
+			expect(received).to.eql(['fooA']);
+		});
+		it('should not pass values on when the hook is in series mode', function() {
+			instance.addSyncHooks({
+				test: function(foo) {
+					return foo + '!';
+				}
+			});
+			instance.pre('test', function(foo) {
+				return foo + 'A';
+			});
+			expect(instance.test('foo')).to.equal('foo!');
+		});
+	});
+});
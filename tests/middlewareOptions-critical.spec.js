@@ -0,0 +1,250 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('middleware options: critical', function() {
+	var instance;
+	var called;
+	var reported;
+	var error;
+	beforeEach(function() {
+		called = [];
+		reported = [];
+		error = new Error('optional');
+		instance = subject.create({
+			onMiddlewareError: function(err, info) {
+				reported.push({context: this, err: err, info: info});
+			},
+			createThenable   : function(fn) {
+				return new P(fn);
+			}
+		});
+		instance.allowHooks('save');
+	});
+	describe('with called hooks', function() {
+		it('should keep executing middleware after non-critical middleware fails', function(done) {
+			var failing = function(next) {
+				next(error);
+			};
+			instance
+				.pre('save', failing, {name: 'cache', critical: false})
+				.pre('save', function() {
+					called.push('B');
+				})
+				.callHook('pre:save', function(err) {
+					expect(err).to.not.exist();
+					expect(called).to.eql(['B']);
+					expect(reported.length).to.equal(1);
+					expect(reported[0].context).to.equal(instance);
+					expect(reported[0].err).to.equal(error);
+					expect(reported[0].info).to.eql({hook: 'pre:save', index: 0, name: 'cache', middleware: failing});
+					done();
+				});
+		});
+		it('should tolerate rejections of non-critical thenable middleware', function() {
+			instance.pre('save', function() {
+				return P.reject(error);
+			}, {critical: false});
+			instance.pre('save', function() {
+				called.push('B');
+			});
+			return instance.callThenableHook('pre:save').then(function() {
+				expect(called).to.eql(['B']);
+				expect(reported[0].err).to.equal(error);
+			});
+		});
+		it('should tolerate errors thrown by non-critical synchronous middleware', function() {
+			instance.pre('save', function() {
+				throw error;
+			}, {critical: false});
+			instance.pre('save', function() {
+				called.push('B');
+			});
+			instance.callSyncHook('pre:save');
+			expect(called).to.eql(['B']);
+			expect(reported[0].info.index).to.equal(0);
+		});
+		it('should tolerate errors of non-critical parallel middleware', function(done) {
+			instance
+				.pre('save', function(next, mwDone) {
+					next();
+					setTimeout(function() {
+						mwDone(error);
+					}, 10);
+				}, {critical: false})
+				.callHook('pre:save', function(err) {
+					expect(err).to.not.exist();
+					expect(reported[0].err).to.equal(error);
+					done();
+				});
+		});
+		it('should still fail for errors of critical middleware', function(done) {
+			instance
+				.pre('save', function(next) {
+					next(error);
+				})
+				.pre('save', function() {
+					called.push('B');
+				})
+				.callHook('pre:save', function(err) {
+					expect(err).to.equal(error);
+					expect(called).to.eql([]);
+					expect(reported).to.eql([]);
+					done();
+				});
+		});
+		it('should tolerate errors without `onMiddlewareError`', function(done) {
+			var plain = subject.create();
+			plain.allowHooks('save');
+			plain
+				.pre('save', function(next) {
+					next(error);
+				}, {critical: false})
+				.callHook('pre:save', function(err) {
+					expect(err).to.not.exist();
+					done();
+				});
+		});
+		it('should fail with the error thrown by `onMiddlewareError`', function(done) {
+			var thrown = new Error('handler');
+			var failingHandler = subject.create({
+				onMiddlewareError: function() {
+					throw thrown;
+				}
+			});
+			failingHandler.allowHooks('save');
+			failingHandler
+				.pre('save', function(next) {
+					setTimeout(function() {
+						next(error);
+					}, 0);
+				}, {critical: false})
+				.pre('save', function() {
+					called.push('B');
+				})
+				.callHook('pre:save', function(err) {
+					expect(err).to.equal(thrown);
+					expect(called).to.eql([]);
+					done();
+				});
+		});
+		it('should throw the error thrown by `onMiddlewareError` from synchronous hooks', function() {
+			var thrown = new Error('handler');
+			var failingHandler = subject.create({
+				onMiddlewareError: function() {
+					throw thrown;
+				}
+			});
+			failingHandler.allowHooks('save');
+			failingHandler.pre('save', function() {
+				throw error;
+			}, {critical: false});
+			expect(function() {
+				failingHandler.callSyncHook('pre:save');
+			}).to.throw(/handler/);
+		});
+	});
+	describe('with hooks declared non-critical', function() {
+		it('should tolerate errors of all middleware of the hook', function() {
+			instance.allowHooks('post:save', {critical: false});
+			instance.post('save', function() {
+				throw new Error('A');
+			}, function() {
+				return P.reject(new Error('B'));
+			}, function() {
+				called.push('C');
+			});
+			return instance.callThenableHook('post:save').then(function() {
+				expect(called).to.eql(['C']);
+				expect(reported.map(function(report) {
+					return report.err.message;
+				})).to.eql(['A', 'B']);
+			});
+		});
+		it('should finish hooks in race mode with the next middleware to succeed', function() {
+			instance.allowHooks('pre:resolve', {mode: 'race', critical: false});
+			instance.pre('resolve', function() {
+				return P.reject(error);
+			}, function() {
+				return P.delay(10).return('B');
+			});
+			return instance.callThenableHook('pre:resolve').then(function(value) {
+				expect(value).to.equal('B');
+				expect(reported[0].err).to.equal(error);
+			});
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should execute the method after non-critical pre middleware fails', function(done) {
+			instance.addHooks({
+				save: function(callback) {
+					called.push('method');
+					callback();
+				}
+			});
+			instance
+				.pre('save', function(next) {
+					next(error);
+				}, {critical: false})
+				.save(function(err) {
+					expect(err).to.not.exist();
+					expect(called).to.eql(['method']);
+					done();
+				});
+		});
+		it('should report wrapped errors if `wrapErrors` is set', function(done) {
+			instance = subject.create({
+				wrapErrors       : true,
+				onMiddlewareError: function(err) {
+					expect(err).to.be.an.instanceof(subject.HookError);
+					expect(err.cause).to.equal(error);
+					done();
+				}
+			});
+			instance.allowHooks('save');
+			instance
+				.pre('save', function(next) {
+					next(error);
+				}, {critical: false})
+				.callHook('pre:save', function() {
+				});
+		});
+		it('should tolerate errors of non-critical finally middleware', function(done) {
+			instance.addHooks({
+				save: function(callback) {
+					callback(null, 'saved');
+				}
+			});
+			instance
+				.finally('save', function() {
+					throw error;
+				}, {critical: false})
+				.finally('save', function() {
+					called.push('B');
+				})
+				.save(function(err, result) {
+					expect(err).to.not.exist();
+					expect(result).to.equal('saved');
+					expect(called).to.eql(['B']);
+					expect(reported[0].err).to.equal(error);
+					expect(reported[0].info.hook).to.equal('finally:save');
+					done();
+				});
+		});
+		it('should tolerate errors of non-critical finally middleware of synchronous methods', function() {
+			instance.addSyncHooks({
+				save: function() {
+					return 'saved';
+				}
+			});
+			instance.finally('save', function() {
+				throw error;
+			}, {critical: false});
+			expect(instance.save()).to.equal('saved');
+			expect(reported[0].err).to.equal(error);
+		});
+	});
+});
@@ -0,0 +1,95 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('middleware options: `handle`', function() {
+	var instance;
+	var called;
+	var handle;
+	beforeEach(function() {
+		called = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+		instance.allowHooks($.TEST);
+		instance.pre($.TEST, $.factories.createNamed('first', called));
+		handle = instance.pre($.TEST, function() {
+			called.push('anonymous');
+		}, {handle: true});
+		instance.pre($.TEST, $.factories.createNamed('last', called));
+	});
+	it('should be returned by `pre`, `post` and `hook`', function() {
+		var handles = [
+			instance.post($.TEST, $.factories.createNamed('a', called), {handle: true}),
+			instance.hook($.POST_TEST, $.factories.createNamed('b', called), {handle: true})
+		];
+		handles.forEach(function(handle) {
+			expect(handle.remove).to.be.a.function();
+			expect(handle.disable).to.be.a.function();
+			expect(handle.enable).to.be.a.function();
+			expect(handle.replace).to.be.a.function();
+		});
+	});
+	it('should return the handle from all methods', function() {
+		expect(handle.disable()).to.equal(handle);
+		expect(handle.enable()).to.equal(handle);
+		expect(handle.replace($.factories.createNamed('a', called))).to.equal(handle);
+		expect(handle.remove()).to.equal(handle);
+	});
+	it('should remove the middleware', function() {
+		handle.remove();
+		instance.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['first', 'last']);
+	});
+	it('should remove all middleware registered at once', function() {
+		instance.post($.TEST, $.factories.createNamed('a', called), $.factories.createNamed('b', called), {handle: true}).remove();
+		expect(instance.getMiddleware($.POST_TEST)).to.eql([]);
+	});
+	it('should disable and enable the middleware', function() {
+		handle.disable();
+		instance.callSyncHook($.PRE_TEST);
+		handle.enable();
+		instance.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['first', 'last', 'first', 'anonymous', 'last']);
+	});
+	it('should exclude disabled middleware from `getMiddleware`', function() {
+		handle.disable();
+		expect(instance.getMiddleware($.PRE_TEST).length).to.equal(2);
+	});
+	it('should replace the middleware in place', function() {
+		var replacement = $.factories.createNamed('replacement', called);
+		handle.replace(replacement);
+		instance.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['first', 'replacement', 'last']);
+	});
+	it('should keep managing the replaced middleware', function() {
+		handle.replace($.factories.createNamed('replacement', called)).remove();
+		instance.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['first', 'last']);
+	});
+	it('should retain the options of the replaced middleware', function() {
+		instance
+			.pre($.TEST, $.factories.createNamed('high', called), {priority: 1, handle: true})
+			.replace($.factories.createNamed('replacement', called));
+		instance.callSyncHook($.PRE_TEST);
+		expect(called[0]).to.equal('replacement');
+	});
+	it('should not re-register removed middleware when replacing', function() {
+		handle.remove().replace($.factories.createNamed('replacement', called));
+		instance.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['first', 'last']);
+	});
+	it('should not be returned without the `handle` option', function() {
+		expect(instance.pre($.TEST, $.factories.createNamed('a', called), {priority: 1})).to.equal(instance);
+	});
+	it('should return a thenable when only options are passed', function() {
+		var actual = instance.pre($.TEST, {priority: 1});
+		expect(subject.isThenable(actual)).to.be.true();
+	});
+});
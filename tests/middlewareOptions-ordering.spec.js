@@ -0,0 +1,130 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('middleware options: `name`, `before` and `after`', function() {
+	var instance;
+	var called;
+	beforeEach(function() {
+		called = [];
+		instance = subject.create();
+		instance.allowHooks($.TEST);
+	});
+	it('should execute middleware after the middleware it declares in `after`', function() {
+		instance
+			.pre($.TEST, $.factories.createNamed('validate', called), {name: 'validate', after: ['auth']})
+			.pre($.TEST, $.factories.createNamed('auth', called), {name: 'auth'})
+			.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['auth', 'validate']);
+	});
+	it('should execute middleware before the middleware it declares in `before`', function() {
+		instance
+			.pre($.TEST, $.factories.createNamed('audit', called), {name: 'audit'})
+			.pre($.TEST, $.factories.createNamed('auth', called), {name: 'auth', before: 'audit'})
+			.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['auth', 'audit']);
+	});
+	it('should combine constraints of independently registered middleware', function() {
+		instance
+			.pre($.TEST, $.factories.createNamed('audit', called), {name: 'audit'})
+			.pre($.TEST, $.factories.createNamed('validate', called), {after: 'auth', before: 'audit'})
+			.pre($.TEST, $.factories.createNamed('auth', called), {name: 'auth', before: ['audit']})
+			.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['auth', 'validate', 'audit']);
+	});
+	it('should fall back to priority and registration order for unconstrained middleware', function() {
+		instance
+			.pre($.TEST, $.factories.createNamed('a', called))
+			.pre($.TEST, $.factories.createNamed('b', called), {name: 'b'})
+			.pre($.TEST, $.factories.createNamed('c', called), {after: 'b'})
+			.pre($.TEST, $.factories.createNamed('d', called), {priority: 1})
+			.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['d', 'a', 'b', 'c']);
+	});
+	it('should throw an error when registering multiple middleware under a single name', function() {
+		expect(function() {
+			instance.pre($.TEST, $.factories.createNamed('a', called), $.factories.createNamed('b', called), {name: 'a'});
+		}).to.throw(/single middleware/);
+	});
+	it('should throw an error when registering a name twice for the same hook', function() {
+		instance.pre($.TEST, $.factories.createNamed('a', called), {name: 'a'});
+		expect(function() {
+			instance.pre($.TEST, $.factories.createNamed('b', called), {name: 'a'});
+		}).to.throw(/already registered/);
+	});
+	it('should allow reusing a name for different hooks', function() {
+		instance.pre($.TEST, $.factories.createNamed('a', called), {name: 'a'});
+		expect(function() {
+			instance.post($.TEST, $.factories.createNamed('a', called), {name: 'a'});
+		}).not.to.throw();
+	});
+	it('should throw an error for unknown names when the hook is called', function() {
+		instance.pre($.TEST, $.factories.createNamed('a', called), {name: 'a', after: 'nonexistent'});
+		expect(function() {
+			instance.callSyncHook($.PRE_TEST);
+		}).to.throw(/"a" of pre:test refers to unknown middleware "nonexistent"/);
+	});
+	it('should throw an error for cyclic constraints when the hook is called', function() {
+		instance
+			.pre($.TEST, $.factories.createNamed('a', called), {name: 'a', before: 'b'})
+			.pre($.TEST, $.factories.createNamed('b', called), {name: 'b', before: 'c'})
+			.pre($.TEST, $.factories.createNamed('c', called), {name: 'c', before: 'a'});
+		expect(function() {
+			instance.getMiddleware($.PRE_TEST);
+		}).to.throw(/Cyclic.*"a", "b", "c"/);
+	});
+	describe('with asynchronous hooks', function() {
+		beforeEach(function() {
+			instance = subject.create({
+				createThenable: function(fn) {
+					return new P(fn);
+				}
+			});
+			instance.addHooks({
+				save: function(callback) {
+					called.push('method');
+					callback();
+				}
+			});
+			instance
+				.post('save', $.factories.createNamed('a', called), {name: 'a', before: 'b'})
+				.post('save', $.factories.createNamed('b', called), {name: 'b', before: 'a'});
+		});
+		it('should pass errors for cyclic constraints to the callback of wrapped methods', function(done) {
+			instance.save(function(err) {
+				expect(err.message).to.match(/Cyclic.*post:save/);
+				expect(called).to.eql(['method']);
+				done();
+			});
+		});
+		it('should pass errors for unknown names to the callback of `callHook`', function(done) {
+			instance.pre('save', $.factories.createNamed('c', called), {after: 'nonexistent'});
+			instance.callHook('pre:save', function(err) {
+				expect(err.message).to.match(/unknown middleware "nonexistent"/);
+				expect(called).to.eql([]);
+				done();
+			});
+		});
+		it('should reject thenables of `callThenableHook` for unresolvable constraints', function() {
+			return instance.callThenableHook('post:save').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.message).to.match(/Cyclic/);
+			});
+		});
+		it('should pass errors for unresolvable constraints of around middleware to the callback', function(done) {
+			instance.around('save', function(proceed, next) {
+				proceed(next);
+			}, {after: 'nonexistent'});
+			instance.save(function(err) {
+				expect(err.message).to.match(/unknown middleware/);
+				expect(called).to.eql([]);
+				done();
+			});
+		});
+	});
+});
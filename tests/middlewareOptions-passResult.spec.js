@@ -0,0 +1,122 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('middleware options: `passResult`', function() {
+	var instance;
+	beforeEach(function() {
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	describe('with wrapped asynchronous methods', function() {
+		beforeEach(function() {
+			instance.addHooks({
+				find: function(query, callback) {
+					callback(null, {query: query, secret: 'secret'});
+				},
+				findMany: function(callback) {
+					callback(null, 'a', 'b');
+				}
+			});
+		});
+		it('should pass the result to post middleware', function(done) {
+			instance
+				.post('find', function(result) {
+					expect(result).to.eql({query: 'foo', secret: 'secret'});
+				}, {passResult: true})
+				.find('foo', done);
+		});
+		it('should pass the parameters to other post middleware', function(done) {
+			instance
+				.post('find', function(query) {
+					expect(query).to.equal('foo');
+				})
+				.find('foo', done);
+		});
+		it('should allow replacing the result through `next`', function(done) {
+			instance
+				.post('find', function(result, next) {
+					next(null, {query: result.query});
+				}, {passResult: true})
+				.find('foo', function(err, result) {
+					expect(result).to.eql({query: 'foo'});
+					done();
+				});
+		});
+		it('should allow replacing the result by returning a value', function(done) {
+			instance
+				.post('find', function(result) {
+					return result.query;
+				}, {passResult: true})
+				.post('find', function(result) {
+					return result + '!';
+				}, {passResult: true})
+				.find('foo', function(err, result) {
+					expect(result).to.equal('foo!');
+					done();
+				});
+		});
+		it('should keep the result when no value is passed on', function(done) {
+			instance
+				.post('find', function(result, next) {
+					next();
+				}, {passResult: true})
+				.find('foo', function(err, result) {
+					expect(result.secret).to.equal('secret');
+					done();
+				});
+		});
+		it('should pass multiple results as an array', function(done) {
+			instance
+				.post('findMany', function(results, next) {
+					expect(results).to.eql(['a', 'b']);
+					next(null, 'c', 'd');
+				}, {passResult: true})
+				.findMany(function(err, c, d) {
+					expect([c, d]).to.eql(['c', 'd']);
+					done();
+				});
+		});
+		it('should not apply to pre middleware', function(done) {
+			instance
+				.pre('find', function(query) {
+					expect(query).to.equal('foo');
+				}, {passResult: true})
+				.find('foo', done);
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		it('should allow replacing the result with a thenable', function() {
+			instance.addThenableHooks({
+				find: function(query) {
+					return P.resolve(query);
+				}
+			})
+				.post('find', function(result) {
+					return P.resolve(result + '!');
+				}, {passResult: true});
+			return instance.find('foo').then(function(result) {
+				expect(result).to.equal('foo!');
+			});
+		});
+	});
+	describe('with wrapped sync methods', function() {
+		it('should allow replacing the result', function() {
+			instance.addSyncHooks({
+				find: function(query) {
+					return query;
+				}
+			})
+				.post('find', function(result) {
+					return result + '!';
+				}, {passResult: true});
+			expect(instance.find('foo')).to.equal('foo!');
+		});
+	});
+});
@@ -0,0 +1,71 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('middleware options: `priority`', function() {
+	var instance;
+	var called;
+	beforeEach(function() {
+		called = [];
+		instance = subject.create();
+		instance.allowHooks($.TEST);
+	});
+	it('should execute middleware with a higher priority first', function() {
+		instance
+			.pre($.TEST, $.factories.createNamed('low', called), {priority: -1})
+			.pre($.TEST, $.factories.createNamed('default', called))
+			.pre($.TEST, $.factories.createNamed('high', called), {priority: 10})
+			.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['high', 'default', 'low']);
+	});
+	it('should execute middleware with equal priority in order of registration', function() {
+		instance
+			.hook($.PRE_TEST, $.factories.createNamed('a', called), {priority: 5})
+			.hook($.PRE_TEST, $.factories.createNamed('b', called), $.factories.createNamed('c', called), {priority: 5})
+			.hook($.PRE_TEST, $.factories.createNamed('d', called), {priority: 5})
+			.callSyncHook($.PRE_TEST);
+		expect(called).to.eql(['a', 'b', 'c', 'd']);
+	});
+	it('should respect priorities in asynchronous hooks', function(done) {
+		instance
+			.pre($.TEST, function(next) {
+				called.push('serial');
+				setTimeout(next, 0);
+			})
+			.pre($.TEST, $.factories.createNamed('high', called), {priority: 1})
+			.callHook($.PRE_TEST, function() {
+				expect(called).to.eql(['high', 'serial']);
+				done();
+			});
+	});
+	it('should respect priorities in wrapped methods', function(done) {
+		instance.test = function(callback) {
+			called.push('method');
+			callback();
+		};
+		instance
+			.addHooks($.TEST)
+			.post($.TEST, $.factories.createNamed('post', called))
+			.post($.TEST, $.factories.createNamed('first post', called), {priority: 1})
+			.test(function() {
+				expect(called).to.eql(['method', 'first post', 'post']);
+				done();
+			});
+	});
+	it('should return the middleware in order of execution', function() {
+		var a = $.factories.createNamed('a', called);
+		var b = $.factories.createNamed('b', called);
+		instance
+			.pre($.TEST, a)
+			.pre($.TEST, b, {priority: 1});
+		expect(instance.getMiddleware($.PRE_TEST)).to.eql([b, a]);
+	});
+	it('should throw an error for a non-numeric priority', function() {
+		expect(function() {
+			instance.pre($.TEST, $.factories.createNamed('a', called), {priority: 'high'});
+		}).to.throw(/priority/);
+	});
+});
@@ -0,0 +1,250 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('middleware options: retry', function() {
+	var instance;
+	var called;
+	var failing;
+	var flaky = function(failures) {
+		return function(next) {
+			called.push(Date.now());
+			if (called.length <= failures) {
+				return next(new Error('attempt ' + called.length));
+			}
+			next(null, 'value');
+		};
+	};
+	beforeEach(function() {
+		called = [];
+		failing = 0;
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+		instance.allowHooks('save');
+	});
+	it('should throw an error for invalid retry options', function() {
+		var register = function(retry) {
+			return function() {
+				instance.pre('save', function() {
+				}, {retry: retry});
+			};
+		};
+		expect(register(3)).to.throw(/object/);
+		expect(register({attempts: 0})).to.throw(/attempts/);
+		expect(register({backoff: 'linear'})).to.throw(/backoffs/);
+		expect(register({delay: -1})).to.throw(/delay/);
+		expect(register({retryOn: true})).to.throw(/retryOn/);
+	});
+	describe('with called hooks', function() {
+		it('should execute failing middleware again before the next middleware', function(done) {
+			instance
+				.pre('save', flaky(2), {retry: {attempts: 3, delay: 0}})
+				.pre('save', function() {
+					called.push('B');
+				})
+				.callHook('pre:save', function(err) {
+					expect(err).to.not.exist();
+					expect(called.length).to.equal(4);
+					expect(called[3]).to.equal('B');
+					done();
+				});
+		});
+		it('should fail with the last error once all attempts failed', function(done) {
+			instance
+				.pre('save', flaky(5), {retry: {attempts: 3, delay: 0}})
+				.callHook('pre:save', function(err) {
+					expect(err.message).to.equal('attempt 3');
+					expect(called.length).to.equal(3);
+					done();
+				});
+		});
+		it('should retry rejected thenables', function() {
+			instance.pre('save', function() {
+				failing++;
+				return (failing < 2)
+					? P.reject(new Error('nope'))
+					: P.resolve();
+			}, {retry: {delay: 0}});
+			return instance.callThenableHook('pre:save').then(function() {
+				expect(failing).to.equal(2);
+			});
+		});
+		it('should wait `delay` milliseconds before each retry', function(done) {
+			instance
+				.pre('save', flaky(2), {retry: {delay: 20}})
+				.callHook('pre:save', function(err) {
+					expect(err).to.not.exist();
+					expect(called[1] - called[0]).to.be.at.least(15);
+					expect(called[2] - called[1]).to.be.at.least(15);
+					done();
+				});
+		});
+		it('should double the delay before each retry with an exponential backoff', function(done) {
+			instance
+				.pre('save', flaky(2), {retry: {backoff: 'exponential', delay: 10}})
+				.callHook('pre:save', function(err) {
+					expect(err).to.not.exist();
+					expect(called[2] - called[1]).to.be.at.least(15);
+					done();
+				});
+		});
+		it('should only retry errors accepted by `retryOn`', function(done) {
+			instance
+				.pre('save', flaky(3), {
+					retry: {
+						attempts: 5,
+						delay   : 0,
+						retryOn : function(err) {
+							return err.message !== 'attempt 2';
+						}
+					}
+				})
+				.callHook('pre:save', function(err) {
+					expect(err.message).to.equal('attempt 2');
+					expect(called.length).to.equal(2);
+					done();
+				});
+		});
+		it('should not retry once the signal of the call context aborted', function(done) {
+			var controller = $.abortController();
+			instance
+				.pre('save', function(next) {
+					called.push('attempt');
+					controller.abort();
+					next(new Error('nope'));
+				}, {retry: {delay: 0}})
+				.callHook('pre:save', subject.callContext({signal: controller.signal}), function(err) {
+					expect(err).to.be.an.instanceof(subject.HookAbortError);
+					setTimeout(function() {
+						expect(called).to.eql(['attempt']);
+						done();
+					}, 10);
+				});
+		});
+		it('should fail with a timeout covering all attempts', function(done) {
+			instance
+				.pre('save', flaky(5), {timeout: 30, retry: {attempts: 5, delay: 20}})
+				.callHook('pre:save', function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					expect(called.length).to.equal(2);
+					setTimeout(function() {
+						//no further attempts once the timeout failed the hook
+						expect(called.length).to.equal(2);
+						done();
+					}, 60);
+				});
+		});
+	});
+	describe('with wrapped asynchronous methods', function() {
+		beforeEach(function() {
+			instance.addHooks({
+				save: function(callback) {
+					failing++;
+					if (failing < 3) {
+						return callback(new Error('attempt ' + failing));
+					}
+					callback(null, 'saved');
+				}
+			});
+			instance.pre('save', function() {
+				called.push('pre');
+			});
+		});
+		it('should execute the failing method again without executing the middleware again', function(done) {
+			instance.allowHooks('save', {retry: {delay: 0}});
+			instance.save(function(err, result) {
+				expect(err).to.not.exist();
+				expect(result).to.equal('saved');
+				expect(failing).to.equal(3);
+				expect(called).to.eql(['pre']);
+				done();
+			});
+		});
+		it('should fail with the last error once all attempts failed', function(done) {
+			instance.allowHooks('save', {retry: {attempts: 2, delay: 0}});
+			instance.save(function(err) {
+				expect(err.message).to.equal('attempt 2');
+				done();
+			});
+		});
+		it('should not retry the method by default', function(done) {
+			instance.save(function(err) {
+				expect(err.message).to.equal('attempt 1');
+				done();
+			});
+		});
+		it('should retry a method throwing an error', function(done) {
+			instance.addHooks({
+				save: function(callback) {
+					failing++;
+					if (failing < 3) {
+						throw new Error('attempt ' + failing);
+					}
+					callback(null, 'saved');
+				}
+			});
+			instance.allowHooks('save', {retry: {delay: 0}});
+			instance.save(function(err, result) {
+				expect(err).to.not.exist();
+				expect(result).to.equal('saved');
+				expect(failing).to.equal(3);
+				done();
+			});
+		});
+		it('should stop retrying the method once the deadline passed', function(done) {
+			instance.allowHooks('save', {deadline: 30, retry: {attempts: 5, delay: 20}});
+			instance.save(function(err) {
+				expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+				expect(failing).to.equal(2);
+				setTimeout(function() {
+					expect(failing).to.equal(2);
+					done();
+				}, 60);
+			});
+		});
+		it('should throw an error for invalid retry hook options', function() {
+			expect(function() {
+				instance.allowHooks('save', {retry: {attempts: 1.5}});
+			}).to.throw(/attempts/);
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		it('should execute the failing method again', function() {
+			instance.addThenableHooks({
+				save: function() {
+					failing++;
+					return (failing < 3)
+						? P.reject(new Error('attempt ' + failing))
+						: P.resolve('saved');
+				}
+			});
+			instance.allowHooks('save', {retry: {backoff: 'exponential', delay: 1}});
+			return instance.save().then(function(result) {
+				expect(result).to.equal('saved');
+				expect(failing).to.equal(3);
+			});
+		});
+		it('should fail with the last error if the method keeps throwing', function() {
+			instance.addThenableHooks({
+				save: function() {
+					failing++;
+					throw new Error('attempt ' + failing);
+				}
+			});
+			instance.allowHooks('save', {retry: {delay: 0}});
+			return instance.save().then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.message).to.equal('attempt 3');
+				expect(failing).to.equal(3);
+			});
+		});
+	});
+});
@@ -0,0 +1,66 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('middleware options: `tags`', function() {
+	var instance;
+	var c1, c2, c3;
+	beforeEach(function() {
+		instance = subject.create();
+		c1 = function() {
+		};
+		c2 = function() {
+		};
+		c3 = function() {
+		};
+		instance.allowHooks($.TEST, 'other')
+			.pre($.TEST, c1, {tags: ['plugin:search', 'plugin:all']})
+			.pre($.TEST, c2)
+			.post($.TEST, c3, {tags: 'plugin:search'})
+			.pre('other', c3, {tags: ['plugin:search']});
+	});
+	describe('GrapplingHook#getMiddleware', function() {
+		it('should retrieve middleware with a tag', function() {
+			expect(instance.getMiddleware($.PRE_TEST, {tag: 'plugin:search'})).to.eql([c1]);
+			expect(instance.getMiddleware($.PRE_TEST, {tag: 'plugin:all'})).to.eql([c1]);
+		});
+		it('should retrieve all middleware without a tag filter', function() {
+			expect(instance.getMiddleware($.PRE_TEST, {})).to.eql([c1, c2]);
+		});
+	});
+	describe('GrapplingHook#hasMiddleware', function() {
+		it('should take the tag into account', function() {
+			expect(instance.hasMiddleware($.POST_TEST, {tag: 'plugin:search'})).to.be.true();
+			expect(instance.hasMiddleware($.POST_TEST, {tag: 'plugin:all'})).to.be.false();
+		});
+	});
+	describe('GrapplingHook#unhook', function() {
+		it('should return the instance', function() {
+			expect(instance.unhook({tag: 'plugin:search'})).to.equal(instance);
+		});
+		it('should remove tagged middleware from all hooks', function() {
+			instance.unhook({tag: 'plugin:search'});
+			expect(instance.getMiddleware($.PRE_TEST)).to.eql([c2]);
+			expect(instance.getMiddleware($.POST_TEST)).to.eql([]);
+			expect(instance.getMiddleware('pre:other')).to.eql([]);
+		});
+		it('should remove tagged middleware from a qualified hook', function() {
+			instance.unhook($.PRE_TEST, {tag: 'plugin:search'});
+			expect(instance.getMiddleware($.PRE_TEST)).to.eql([c2]);
+			expect(instance.getMiddleware($.POST_TEST)).to.eql([c3]);
+		});
+		it('should remove tagged middleware from an unqualified hook', function() {
+			instance.unhook($.TEST, {tag: 'plugin:search'});
+			expect(instance.getMiddleware($.PRE_TEST)).to.eql([c2]);
+			expect(instance.getMiddleware($.POST_TEST)).to.eql([]);
+			expect(instance.getMiddleware('pre:other')).to.eql([c3]);
+		});
+		it('should only remove specified middleware with the tag', function() {
+			instance.unhook($.PRE_TEST, c1, c2, {tag: 'plugin:all'});
+			expect(instance.getMiddleware($.PRE_TEST)).to.eql([c2]);
+		});
+	});
+});
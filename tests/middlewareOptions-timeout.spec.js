@@ -0,0 +1,281 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('middleware options: timeout', function() {
+	var instance;
+	var called;
+	var hang = function() {
+		return new P(function() {
+		});
+	};
+	beforeEach(function() {
+		called = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+		instance.allowHooks('save');
+	});
+	it('should expose `HookTimeoutError`', function() {
+		expect(subject.HookTimeoutError).to.be.a.function();
+	});
+	it('should throw an error for an invalid `timeout`', function() {
+		expect(function() {
+			instance.pre('save', function() {
+			}, {timeout: 0});
+		}).to.throw(/timeout/);
+	});
+	describe('with called hooks', function() {
+		it('should fail with an error naming middleware that never calls `next`', function(done) {
+			var stuck = function(next) { //eslint-disable-line no-unused-vars
+			};
+			instance
+				.pre('save', function() {
+				})
+				.pre('save', stuck, {name: 'index', timeout: 10})
+				.pre('save', function() {
+					called.push('C');
+				})
+				.callHook('pre:save', function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					expect(err).to.be.an.instanceof(Error);
+					expect(err.code).to.equal('ERR_HOOK_TIMEOUT');
+					expect(err.hook).to.equal('pre:save');
+					expect(err.timeout).to.equal(10);
+					expect(err.index).to.equal(1);
+					expect(err.middleware).to.equal(stuck);
+					expect(err.middlewareName).to.equal('index');
+					expect(err.message).to.equal('Middleware #1 "index" of pre:save timed out after 10ms');
+					expect(called).to.eql([]);
+					done();
+				});
+		});
+		it('should fail for thenables that never settle', function() {
+			instance.pre('save', hang, {timeout: 10});
+			return instance.callThenableHook('pre:save').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.middlewareName).to.equal('hang');
+			});
+		});
+		it('should fail for parallel middleware that never calls `done`', function(done) {
+			instance
+				.pre('save', function(next, mwDone) { //eslint-disable-line no-unused-vars
+					next();
+				}, {timeout: 10})
+				.callHook('pre:save', function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					done();
+				});
+		});
+		it('should ignore middleware finishing after the timeout', function(done) {
+			instance
+				.pre('save', function(next) {
+					setTimeout(next, 20);
+				}, {timeout: 10})
+				.callHook('pre:save', function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					setTimeout(done, 20);
+				});
+		});
+		it('should not fail middleware finishing in time', function(done) {
+			instance
+				.pre('save', function(next) {
+					setTimeout(next, 5);
+				}, {timeout: 50})
+				.callHook('pre:save', function(err) {
+					expect(err).to.not.exist();
+					done();
+				});
+		});
+		it('should apply the `timeout` hook option to all middleware', function() {
+			instance.allowHooks('pre:save', {timeout: 10});
+			instance.pre('save', function() {
+				called.push('A');
+			}, hang);
+			return instance.callThenableHook('pre:save').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.index).to.equal(1);
+				expect(err.timeout).to.equal(10);
+				expect(called).to.eql(['A']);
+			});
+		});
+		it('should prefer the `timeout` registration option over the hook option', function() {
+			instance.allowHooks('pre:save', {timeout: 100});
+			instance.pre('save', hang, {timeout: 10});
+			return instance.callThenableHook('pre:save').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.timeout).to.equal(10);
+			});
+		});
+		it('should throw an error for an invalid `timeout` hook option', function() {
+			expect(function() {
+				instance.allowHooks('pre:save', {timeout: 'soon'});
+			}).to.throw(/timeout/);
+		});
+		it('should tolerate timeouts of non-critical middleware', function() {
+			instance.pre('save', hang, {timeout: 10, critical: false});
+			instance.pre('save', function() {
+				called.push('B');
+			});
+			return instance.callThenableHook('pre:save').then(function() {
+				expect(called).to.eql(['B']);
+			});
+		});
+	});
+	describe('with wrapped methods', function() {
+		it('should pass the timeout error to error middleware', function(done) {
+			instance.addHooks({
+				save: function(callback) {
+					called.push('method');
+					callback();
+				}
+			});
+			instance
+				.pre('save', hang, {timeout: 10})
+				.error('save', function(err) {
+					called.push(err.code);
+				})
+				.save(function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					expect(called).to.eql(['ERR_HOOK_TIMEOUT']);
+					done();
+				});
+		});
+	});
+	describe('with around, error and finally middleware', function() {
+		beforeEach(function() {
+			instance.addHooks({
+				save: function(callback) {
+					called.push('method');
+					callback(new Error('failed'));
+				}
+			});
+		});
+		it('should fail stuck around middleware of asynchronous hooks', function(done) {
+			instance
+				.around('save', function(proceed, next) { //eslint-disable-line no-unused-vars
+				}, {name: 'stuck', timeout: 10})
+				.save(function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					expect(err.hook).to.equal('around:save');
+					expect(err.middlewareName).to.equal('stuck');
+					done();
+				});
+		});
+		it('should fail stuck around middleware of thenable hooks', function() {
+			instance.addThenableHooks({
+				load: function() {
+					return P.resolve();
+				}
+			});
+			instance.allowHooks('around:load', {timeout: 10});
+			instance.around('load', hang);
+			return instance.load().then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+				expect(err.timeout).to.equal(10);
+			});
+		});
+		it('should pass the timeout of stuck error middleware on to the remaining error middleware', function(done) {
+			instance
+				.error('save', function(err, next) { //eslint-disable-line no-unused-vars
+				}, {timeout: 10})
+				.error('save', function(err) {
+					called.push(err.code);
+				})
+				.save(function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					expect(err.hook).to.equal('error:save');
+					expect(called).to.eql(['method', 'ERR_HOOK_TIMEOUT']);
+					done();
+				});
+		});
+		it('should apply the `timeout` hook option to finally middleware', function(done) {
+			instance.allowHooks('finally:save', {timeout: 10});
+			instance
+				.finally('save', hang)
+				.save(function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					expect(err.hook).to.equal('finally:save');
+					done();
+				});
+		});
+	});
+	describe('deadline', function() {
+		it('should throw an error for an invalid `deadline`', function() {
+			expect(function() {
+				instance.allowHooks('save', {deadline: -1});
+			}).to.throw(/deadline/);
+		});
+		it('should fail asynchronous methods not finishing before the deadline', function(done) {
+			instance.addHooks({
+				save: function(callback) {
+					setTimeout(callback, 30);
+				}
+			});
+			instance.allowHooks('save', {deadline: 40});
+			instance
+				.pre('save', function(next) {
+					setTimeout(next, 20);
+				})
+				.finally('save', function(err) {
+					called.push(err.message);
+				})
+				.save(function(err) {
+					expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+					expect(err.hook).to.equal('save');
+					expect(err.timeout).to.equal(40);
+					expect(err.index).to.be.undefined();
+					expect(err.message).to.equal('save timed out after 40ms');
+					expect(called).to.eql(['save timed out after 40ms']);
+					done();
+				});
+		});
+		it('should fail thenable methods not finishing before the deadline', function() {
+			instance.addThenableHooks({
+				save: hang
+			});
+			instance.allowHooks('save', {deadline: 10});
+			return instance.save().then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookTimeoutError);
+				expect(err.hook).to.equal('save');
+			});
+		});
+		it('should allow error middleware to recover from missed deadlines', function() {
+			instance.addThenableHooks({
+				save: hang
+			});
+			instance.allowHooks('save', {deadline: 10});
+			instance.error('save', function(err) {
+				if (err instanceof subject.HookTimeoutError) {
+					return 'queued';
+				}
+			});
+			return instance.save().then(function(result) {
+				expect(result).to.equal('queued');
+			});
+		});
+		it('should not fail methods finishing before the deadline', function() {
+			instance.addThenableHooks({
+				save: function() {
+					return P.delay(5).return('saved');
+				}
+			});
+			instance.allowHooks('save', {deadline: 50});
+			return instance.save().then(function(result) {
+				expect(result).to.equal('saved');
+			});
+		});
+	});
+});
@@ -1,6 +1,7 @@
 'use strict';
 /* eslint-env node, mocha */
 
+var EventEmitter = require('events').EventEmitter;
 var expect = require('must');
 
 var subject = require('../index');
@@ -35,6 +36,34 @@ describe('module.attach', function() {
 		expect(instance).to.be.an.instanceOf(Clazz);
 		expect($.isGrapplingHook(instance)).to.be.true();
 	});
+	it('should not replace existing prototype methods with the default special qualifiers', function() {
+		var Model = function() {
+		};
+		Model.prototype.error = function() {
+			return 'own';
+		};
+		subject.attach(Model);
+		var instance = new Model();
+		instance.allowHooks('save');
+		expect(instance.error()).to.equal('own');
+		expect(instance.around).to.be.a.function();
+	});
+	it('should not replace `once` of an EventEmitter subclass', function() {
+		var Emitter = function() {
+			EventEmitter.call(this);
+		};
+		Emitter.prototype = Object.create(EventEmitter.prototype);
+		subject.attach(Emitter);
+		var emitter = new Emitter();
+		var received = [];
+		emitter.allowHooks('save');
+		emitter.once('data', function(value) {
+			received.push(value);
+		});
+		emitter.emit('data', 'a');
+		emitter.emit('data', 'b');
+		expect(received).to.eql(['a']);
+	});
 	it('should make a functional prototype', function() {
 		subject.attach(Clazz);
 		var instance = new Clazz();
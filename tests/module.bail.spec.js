@@ -0,0 +1,298 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('module.bail', function() {
+	var instance;
+	var called;
+	beforeEach(function() {
+		called = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should be exposed', function() {
+		expect(subject.bail).to.be.a.function();
+	});
+	describe('with wrapped asynchronous methods', function() {
+		beforeEach(function() {
+			instance.addHooks({
+				test: function(foo, callback) {
+					called.push('method');
+					callback(null, foo + '!');
+				}
+			});
+		});
+		it('should skip remaining pre middleware, the method and post middleware when passed to `next`', function(done) {
+			instance
+				.pre('test', function(foo, next) {
+					called.push('pre A');
+					next(null, subject.bail('cached'));
+				}, function() {
+					called.push('pre B');
+				})
+				.post('test', function() {
+					called.push('post');
+				})
+				.test('foo', function(err, result) {
+					expect(err).to.be.null();
+					expect(result).to.equal('cached');
+					expect(called).to.eql(['pre A']);
+					done();
+				});
+		});
+		it('should skip the method when returned by sync middleware', function(done) {
+			instance
+				.pre('test', function() {
+					return subject.bail('dry run');
+				})
+				.test('foo', function(err, result) {
+					expect(result).to.equal('dry run');
+					expect(called).to.eql([]);
+					done();
+				});
+		});
+		it('should skip the method when resolved by thenable middleware', function(done) {
+			instance
+				.pre('test', function() {
+					return P.resolve(subject.bail('cached'));
+				})
+				.test('foo', function(err, result) {
+					expect(result).to.equal('cached');
+					expect(called).to.eql([]);
+					done();
+				});
+		});
+		it('should skip the method when passed to `next` by parallel middleware', function(done) {
+			instance
+				.pre('test', function(foo, next, mwDone) {
+					next(null, subject.bail('cached'));
+					setTimeout(mwDone, 10);
+				})
+				.test('foo', function(err, result) {
+					expect(result).to.equal('cached');
+					expect(called).to.eql([]);
+					done();
+				});
+		});
+		it('should still execute finally middleware', function(done) {
+			instance
+				.pre('test', function() {
+					return subject.bail('cached');
+				})
+				.finally('test', function(err, result) {
+					expect(err).to.be.null();
+					expect(result).to.equal('cached');
+					called.push('finally');
+				})
+				.test('foo', function() {
+					expect(called).to.eql(['finally']);
+					done();
+				});
+		});
+		it('should replace the result and skip remaining post middleware when passed by post middleware', function(done) {
+			instance
+				.post('test', function() {
+					return subject.bail('replaced');
+				}, function() {
+					called.push('post');
+				})
+				.test('foo', function(err, result) {
+					expect(result).to.equal('replaced');
+					expect(called).to.eql(['method']);
+					done();
+				});
+		});
+		it('should recover with the bailed value when passed by error middleware', function(done) {
+			instance
+				.pre('test', function() {
+					throw new Error('failed');
+				})
+				.error('test', function() {
+					return subject.bail('recovered');
+				}, function() {
+					called.push('error');
+				})
+				.test('foo', function(err, result) {
+					expect(err).to.not.exist();
+					expect(result).to.equal('recovered');
+					expect(called).to.eql([]);
+					done();
+				});
+		});
+		it('should only skip remaining finally middleware when passed by finally middleware', function(done) {
+			instance
+				.finally('test', function() {
+					return subject.bail('ignored');
+				}, function() {
+					called.push('finally');
+				})
+				.test('foo', function(err, result) {
+					expect(err).to.not.exist();
+					expect(result).to.equal('foo!');
+					expect(called).to.eql(['method']);
+					done();
+				});
+		});
+		it('should allow bailing with `undefined`', function(done) {
+			instance
+				.pre('test', function() {
+					return subject.bail();
+				})
+				.test('foo', function(err, result) {
+					expect(err).to.be.null();
+					expect(result).to.be.undefined();
+					expect(called).to.eql([]);
+					done();
+				});
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		beforeEach(function() {
+			instance.addThenableHooks({
+				test: function(foo) {
+					called.push('method');
+					return P.resolve(foo + '!');
+				}
+			});
+		});
+		it('should resolve with the bailed value', function() {
+			instance
+				.pre('test', function() {
+					called.push('pre A');
+					return P.resolve(subject.bail('cached'));
+				}, function() {
+					called.push('pre B');
+				})
+				.post('test', function() {
+					called.push('post');
+				});
+			return instance.test('foo').then(function(result) {
+				expect(result).to.equal('cached');
+				expect(called).to.eql(['pre A']);
+			});
+		});
+	});
+	describe('with wrapped dynamic methods', function() {
+		beforeEach(function() {
+			instance.addDynamicHooks({
+				test: function(foo, callback) {
+					called.push('method');
+					if (callback) {
+						return callback(null, foo + '!');
+					}
+					return P.resolve(foo + '!');
+				}
+			});
+			instance.pre('test', function() {
+				return subject.bail('cached');
+			});
+		});
+		it('should pass the bailed value to the callback', function(done) {
+			instance.test('foo', function(err, result) {
+				expect(result).to.equal('cached');
+				expect(called).to.eql([]);
+				done();
+			});
+		});
+		it('should resolve with the bailed value', function() {
+			return instance.test('foo').then(function(result) {
+				expect(result).to.equal('cached');
+				expect(called).to.eql([]);
+			});
+		});
+	});
+	describe('with wrapped synchronous methods', function() {
+		beforeEach(function() {
+			instance.addSyncHooks({
+				test: function(foo) {
+					called.push('method');
+					return foo + '!';
+				}
+			});
+		});
+		it('should return the bailed value', function() {
+			instance
+				.pre('test', function() {
+					called.push('pre A');
+					return subject.bail('cached');
+				}, function() {
+					called.push('pre B');
+				})
+				.post('test', function() {
+					called.push('post');
+				});
+			expect(instance.test('foo')).to.equal('cached');
+			expect(called).to.eql(['pre A']);
+		});
+		it('should still execute finally middleware', function() {
+			instance
+				.pre('test', function() {
+					return subject.bail('cached');
+				})
+				.finally('test', function(err, result) {
+					called.push('finally:' + result);
+				});
+			expect(instance.test('foo')).to.equal('cached');
+			expect(called).to.eql(['finally:cached']);
+		});
+		it('should recover with the bailed value when returned by error middleware', function() {
+			instance
+				.pre('test', function() {
+					throw new Error('failed');
+				})
+				.error('test', function() {
+					return subject.bail('recovered');
+				});
+			expect(instance.test('foo')).to.equal('recovered');
+		});
+		it('should only skip remaining finally middleware when returned by finally middleware', function() {
+			instance
+				.finally('test', function() {
+					return subject.bail('ignored');
+				}, function() {
+					called.push('finally');
+				});
+			expect(instance.test('foo')).to.equal('foo!');
+			expect(called).to.eql(['method']);
+		});
+	});
+	describe('with called hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('test');
+			instance.pre('test', function() {
+				called.push('A');
+				return subject.bail('value');
+			}, function() {
+				called.push('B');
+			});
+		});
+		it('should pass the bailed value to the callback of `callHook`', function(done) {
+			instance.callHook('pre:test', function(err, value) {
+				expect(err).to.be.null();
+				expect(value).to.equal('value');
+				expect(called).to.eql(['A']);
+				done();
+			});
+		});
+		it('should not throw when `callHook` is called without callback', function() {
+			instance.callHook('pre:test');
+			expect(called).to.eql(['A']);
+		});
+		it('should resolve `callThenableHook` with the bailed value', function() {
+			return instance.callThenableHook('pre:test').then(function(value) {
+				expect(value).to.equal('value');
+				expect(called).to.eql(['A']);
+			});
+		});
+		it('should skip remaining middleware in `callSyncHook` and return the bailed value', function() {
+			expect(instance.callSyncHook('pre:test')).to.equal('value');
+			expect(called).to.eql(['A']);
+		});
+	});
+});
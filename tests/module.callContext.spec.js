@@ -0,0 +1,250 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('module.callContext', function() {
+	var instance;
+	var called;
+	var controller;
+	var context;
+	beforeEach(function() {
+		called = [];
+		controller = $.abortController();
+		context = subject.callContext({signal: controller.signal});
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should be exposed', function() {
+		expect(subject.callContext).to.be.a.function();
+		expect(subject.HookAbortError).to.be.a.function();
+	});
+	it('should pass the context to middleware registered with the `callContext` option', function(done) {
+		instance.allowHooks('save');
+		instance
+			.pre('save', function(doc, ctx) {
+				expect(ctx).to.equal(context);
+				expect(ctx.signal).to.equal(controller.signal);
+			}, {callContext: true})
+			.callHook('pre:save', {}, context, function(err) {
+				expect(err).to.not.exist();
+				done();
+			});
+	});
+	it('should take the context out of the parameters of other middleware', function(done) {
+		instance.allowHooks('save');
+		instance
+			.pre('save', function(doc, next) {
+				expect(doc).to.eql({});
+				expect(next).to.be.a.function();
+				called.push('A');
+				next();
+			})
+			.callHook('pre:save', {}, context, function(err) {
+				expect(err).to.not.exist();
+				expect(called).to.eql(['A']);
+				done();
+			});
+	});
+	it('should pass an empty context if none was passed', function() {
+		instance.allowHooks('save');
+		instance.pre('save', function(doc, ctx) {
+			expect(ctx).to.be.an.object();
+			expect(ctx.signal).to.be.undefined();
+		}, {callContext: true});
+		instance.callSyncHook('pre:save', {});
+	});
+	describe('with called hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('save');
+			instance.pre('save', function(next) {
+				called.push('A');
+				setTimeout(next, 20);
+			}, function() {
+				called.push('B');
+			});
+		});
+		it('should fail right away and not start further middleware once the signal aborts', function(done) {
+			var start = Date.now();
+			setTimeout(function() {
+				controller.abort('client disconnected');
+			}, 5);
+			instance.callHook('pre:save', context, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookAbortError);
+				expect(err).to.be.an.instanceof(Error);
+				expect(err.code).to.equal('ERR_HOOK_ABORTED');
+				expect(err.hook).to.equal('pre:save');
+				expect(err.cause).to.equal('client disconnected');
+				expect(err.message).to.equal('pre:save was aborted');
+				expect(Date.now() - start).to.be.below(20);
+				setTimeout(function() {
+					expect(called).to.eql(['A']);
+					done();
+				}, 30);
+			});
+		});
+		it('should reject thenable hooks once the signal aborts', function() {
+			setTimeout(function() {
+				controller.abort();
+			}, 5);
+			return instance.callThenableHook('pre:save', context).then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookAbortError);
+			});
+		});
+		it('should not start any middleware if the signal already aborted', function(done) {
+			controller.abort();
+			instance.callHook('pre:save', context, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookAbortError);
+				expect(called).to.eql([]);
+				done();
+			});
+		});
+		it('should fail without middleware if the signal already aborted', function() {
+			controller.abort();
+			return instance.callThenableHook('post:save', context).then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.hook).to.equal('post:save');
+			});
+		});
+		it('should not fail once finished', function(done) {
+			instance.callHook('pre:save', context, function(err) {
+				expect(err).to.not.exist();
+				controller.abort();
+				expect(called).to.eql(['A', 'B']);
+				done();
+			});
+		});
+	});
+	describe('with hooks in race mode', function() {
+		it('should not start any middleware if the signal already aborted', function(done) {
+			instance.allowHooks('pre:fetch', {mode: 'race'});
+			instance.pre('fetch', function() {
+				called.push('A');
+			}, function(next) {
+				called.push('B');
+				next();
+			});
+			controller.abort();
+			instance.callHook('pre:fetch', context, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookAbortError);
+				setTimeout(function() {
+					expect(called).to.eql([]);
+					done();
+				}, 10);
+			});
+		});
+	});
+	describe('with filter hooks', function() {
+		it('should stop reducing the value once the signal aborts', function() {
+			instance.allowHooks('filter:title');
+			instance.filter('title', function(title) {
+				controller.abort();
+				return title + '!';
+			}, function(title) {
+				called.push('B');
+				return title + '?';
+			});
+			return instance.callThenableFilterHook('filter:title', 'title', context).then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookAbortError);
+				expect(called).to.eql([]);
+			});
+		});
+	});
+	describe('with wrapped asynchronous methods', function() {
+		beforeEach(function() {
+			instance.addHooks({
+				save: function(doc, callback) {
+					expect(arguments.length).to.equal(2);
+					called.push('method');
+					callback(null, doc);
+				}
+			});
+		});
+		it('should take the context out of the parameters of the method and its middleware', function(done) {
+			var doc = {};
+			instance
+				.pre('save', function(doc, next) {
+					called.push('pre');
+					setTimeout(next, 5);
+				})
+				.post('save', function(doc, next) {
+					called.push('post');
+					next();
+				})
+				.save(doc, context, function(err, result) {
+					expect(err).to.not.exist();
+					expect(result).to.equal(doc);
+					expect(called).to.eql(['pre', 'method', 'post']);
+					done();
+				});
+		});
+		it('should neither execute the method nor post middleware once the signal aborts', function(done) {
+			instance
+				.pre('save', function(doc, next) {
+					called.push('pre');
+					setTimeout(next, 20);
+				})
+				.post('save', function() {
+					called.push('post');
+				})
+				.finally('save', function(err) {
+					called.push('finally ' + err.code);
+				})
+				.save({}, context, function(err) {
+					expect(err).to.be.an.instanceof(subject.HookAbortError);
+					expect(err.hook).to.equal('save');
+					expect(called).to.eql(['pre', 'finally ERR_HOOK_ABORTED']);
+					setTimeout(function() {
+						expect(called).to.eql(['pre', 'finally ERR_HOOK_ABORTED']);
+						done();
+					}, 30);
+				});
+			setTimeout(function() {
+				controller.abort();
+			}, 5);
+		});
+		it('should not execute the method if the signal already aborted', function(done) {
+			controller.abort();
+			instance.save({}, context, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookAbortError);
+				expect(called).to.eql([]);
+				done();
+			});
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		it('should reject once the signal aborts', function() {
+			instance.addThenableHooks({
+				save: function() {
+					called.push('method');
+					return P.delay(20);
+				}
+			});
+			instance.post('save', function() {
+				called.push('post');
+			});
+			setTimeout(function() {
+				controller.abort();
+			}, 5);
+			return instance.save(context).then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err).to.be.an.instanceof(subject.HookAbortError);
+				return P.delay(30).then(function() {
+					expect(called).to.eql(['method']);
+				});
+			});
+		});
+	});
+});
@@ -1,6 +1,7 @@
 'use strict';
 /* eslint-env node, mocha */
 
+var EventEmitter = require('events').EventEmitter;
 var expect = require('must');
 
 var subject = require('../index');
@@ -37,4 +38,36 @@ describe('module.mixin', function() {
 		subject.mixin(instance, 'grappling-hook:test:mixin', {qualifiers: {pre: 'overriddenPre'}});
 		expect(instance.__grappling.opts.qualifiers.pre).to.equal('overriddenPre');
 	});
+	it('should not replace existing methods with the default special qualifiers', function() {
+		var filter = function() {
+		};
+		var instance = {filter: filter};
+		subject.mixin(instance, {createThenable: function() {
+		}});
+		expect(instance.filter).to.equal(filter);
+		expect(instance.error).to.be.a.function();
+		instance.allowHooks('filter:title');
+		instance.hook('filter:title', function(title) {
+			return title + '!';
+		});
+		expect(instance.callSyncFilterHook('filter:title', 'title')).to.equal('title!');
+	});
+	it('should not replace `once` of an EventEmitter', function() {
+		var emitter = subject.mixin(new EventEmitter(), {strict: false});
+		var received = [];
+		emitter.once('data', function(value) {
+			received.push(value);
+		});
+		emitter.emit('data', 'a');
+		emitter.emit('data', 'b');
+		expect(received).to.eql(['a']);
+		expect(emitter.hook).to.be.a.function();
+	});
+	it('should replace existing methods with explicitly configured qualifiers', function() {
+		var error = function() {
+		};
+		var instance = {error: error};
+		subject.mixin(instance, {qualifiers: ['pre', 'post', 'error']});
+		expect(instance.error).to.not.equal(error);
+	});
 });
@@ -0,0 +1,84 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('hook namespaces', function() {
+	var instance;
+	var called;
+	beforeEach(function() {
+		called = [];
+		instance = subject.create();
+		instance.allowHooks('user.profile.save', 'user.remove');
+	});
+	it('should throw an error for hooks with multiple qualifiers', function() {
+		expect(function() {
+			instance.hook('pre:user:save', $.factories.createNamed('user', called));
+		}).to.throw(/"pre:user.save"/);
+	});
+	it('should allow registering middleware to parent namespaces of declared hooks', function() {
+		expect(instance.hookable('pre:user', 'pre:user.profile')).to.be.true();
+		expect(instance.hookable('pre:use')).to.be.false();
+		expect(function() {
+			instance.pre('user', $.factories.createNamed('user', called));
+		}).not.to.throw();
+	});
+	it('should execute middleware registered to parent namespaces', function() {
+		instance
+			.pre('user', $.factories.createNamed('user', called))
+			.pre('user.profile', $.factories.createNamed('user.profile', called))
+			.pre('user.profile.save', $.factories.createNamed('user.profile.save', called))
+			.callSyncHook('pre:user.profile.save');
+		expect(called).to.eql(['user.profile.save', 'user.profile', 'user']);
+	});
+	it('should not execute middleware registered to child namespaces', function() {
+		instance
+			.pre('user', $.factories.createNamed('user', called))
+			.pre('user.profile.save', $.factories.createNamed('user.profile.save', called))
+			.callSyncHook('pre:user');
+		expect(called).to.eql(['user']);
+	});
+	it('should not execute middleware registered to namespaces of other qualifiers', function() {
+		instance
+			.post('user', $.factories.createNamed('user', called))
+			.callSyncHook('pre:user.remove');
+		expect(called).to.eql([]);
+	});
+	it('should take priorities into account', function() {
+		instance
+			.pre('user', $.factories.createNamed('user', called), {priority: 1})
+			.pre('user.remove', $.factories.createNamed('user.remove', called))
+			.callSyncHook('pre:user.remove');
+		expect(called).to.eql(['user', 'user.remove']);
+	});
+	it('should allow ordering constraints referring to middleware of parent namespaces', function() {
+		instance
+			.pre('user.remove', $.factories.createNamed('user.remove', called), {after: 'auth'})
+			.pre('user', $.factories.createNamed('user', called), {name: 'auth'})
+			.callSyncHook('pre:user.remove');
+		expect(called).to.eql(['user', 'user.remove']);
+	});
+	it('should ignore ordering constraints of parent namespaces referring to middleware of other child hooks', function() {
+		instance
+			.pre('user.remove', $.factories.createNamed('user.remove', called), {name: 'auth'})
+			.pre('user', $.factories.createNamed('user', called), {before: 'auth'})
+			.callSyncHook('pre:user.profile.save')
+			.callSyncHook('pre:user.remove');
+		expect(called).to.eql(['user', 'user', 'user.remove']);
+	});
+	it('should execute middleware registered to parent namespaces in wrapped methods', function(done) {
+		instance['user.remove'] = function(callback) {
+			called.push('method');
+			callback();
+		};
+		instance.addHooks('user.remove')
+			.pre('user', $.factories.createNamed('pre', called))
+			.post('user', $.factories.createNamed('post', called));
+		instance['user.remove'](function() {
+			expect(called).to.eql(['pre', 'method', 'post']);
+			done();
+		});
+	});
+});
@@ -3,7 +3,9 @@
 
 var expect = require('must');
 var sinon = require('sinon');
+var P = require('bluebird');
 var subject = require('../index');
+var $ = require('./fixtures');
 
 describe('options: `qualifiers`', function() {
 	var instance;
@@ -43,5 +45,109 @@ describe('options: `qualifiers`', function() {
 				done();
 			});
 	});
+	describe('as an ordered list', function() {
+		var called;
+		beforeEach(function() {
+			called = [];
+			instance = subject.create({
+				qualifiers: ['validate', 'pre', 'post', 'notify'],
+				createThenable: function(fn) {
+					return new P(fn);
+				}
+			});
+			instance.test = function(callback) {
+				called.push('method');
+				callback();
+			};
+		});
+		it('should expose all qualifiers as functions', function() {
+			['validate', 'pre', 'post', 'notify'].forEach(function(qualifier) {
+				expect(instance[qualifier]).to.be.a.function();
+			});
+		});
+		it('should allow all qualifiers as hook types', function() {
+			instance.allowHooks('validate:test', 'notify:test');
+			expect(instance.hookable('validate:test', 'notify:test')).to.be.true();
+			expect(function() {
+				instance.allowHooks('before:test');
+			}).to.throw(/"validate", "pre", "post", "notify"/);
+		});
+		it('should declare all phases for unqualified hooks', function() {
+			instance.allowHooks('test');
+			expect(instance.hookable('validate:test', 'pre:test', 'post:test', 'notify:test')).to.be.true();
+		});
+		it('should remove middleware of all phases for unqualified hooks', function() {
+			instance.allowHooks('test')
+				.validate('test', $.factories.createNamed('validate', called))
+				.notify('test', $.factories.createNamed('notify', called))
+				.unhook('test');
+			expect(instance.hasMiddleware('validate:test')).to.be.false();
+			expect(instance.hasMiddleware('notify:test')).to.be.false();
+		});
+		function register() {
+			instance
+				.notify('test', $.factories.createNamed('notify', called))
+				.post('test', $.factories.createNamed('post', called))
+				.pre('test', $.factories.createNamed('pre', called))
+				.validate('test', $.factories.createNamed('validate', called));
+		}
+		it('should execute all phases in order around wrapped asynchronous methods', function(done) {
+			instance.addHooks('test');
+			register();
+			instance.test(function() {
+				expect(called).to.eql(['validate', 'pre', 'method', 'post', 'notify']);
+				done();
+			});
+		});
+		it('should execute all phases in order around wrapped thenable methods', function() {
+			instance.addThenableHooks({
+				test: function() {
+					called.push('method');
+					return P.resolve();
+				}
+			});
+			register();
+			return instance.test().then(function() {
+				expect(called).to.eql(['validate', 'pre', 'method', 'post', 'notify']);
+			});
+		});
+		it('should execute all phases in order around wrapped sync methods', function() {
+			instance.addSyncHooks({
+				test: function() {
+					called.push('method');
+				}
+			});
+			register();
+			instance.test();
+			expect(called).to.eql(['validate', 'pre', 'method', 'post', 'notify']);
+		});
+		it('should call wrapped methods after `pre` if there is no `post` qualifier', function() {
+			instance = subject.create({
+				qualifiers: ['pre', 'notify']
+			});
+			instance.addSyncHooks({
+				test: function() {
+					called.push('method');
+				}
+			});
+			instance.notify('test', $.factories.createNamed('notify', called))
+				.pre('test', $.factories.createNamed('pre', called))
+				.test();
+			expect(called).to.eql(['pre', 'method', 'notify']);
+		});
+		it('should throw an error if it cannot determine when to call wrapped methods', function() {
+			expect(function() {
+				subject.create({
+					qualifiers: ['before', 'after']
+				});
+			}).to.throw(/"pre" and\/or "post"/);
+		});
+		it('should throw an error for duplicate qualifiers', function() {
+			expect(function() {
+				subject.create({
+					qualifiers: ['pre', 'pre', 'post']
+				});
+			}).to.throw(/unique/);
+		});
+	});
 });
-
@@ -0,0 +1,212 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+
+describe('options: wrapErrors', function() {
+	var instance;
+	var error;
+	beforeEach(function() {
+		error = new Error('original');
+		instance = subject.create({
+			wrapErrors    : true,
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+	});
+	it('should expose `HookError`', function() {
+		expect(subject.HookError).to.be.a.function();
+	});
+	describe('with called hooks', function() {
+		beforeEach(function() {
+			instance.allowHooks('save');
+		});
+		it('should record the hook, phase, index and name of failing middleware', function(done) {
+			instance
+				.pre('save', function() {
+				}, function() {
+				})
+				.pre('save', function(next) {
+					next(error);
+				}, {name: 'audit'})
+				.callHook('pre:save', function(err) {
+					expect(err).to.be.an.instanceof(subject.HookError);
+					expect(err).to.be.an.instanceof(Error);
+					expect(err.code).to.equal('ERR_HOOK');
+					expect(err.hook).to.equal('pre:save');
+					expect(err.phase).to.equal('pre');
+					expect(err.index).to.equal(2);
+					expect(err.middlewareName).to.equal('audit');
+					expect(err.cause).to.equal(error);
+					expect(err.message).to.equal('Middleware #2 "audit" of pre:save failed: original');
+					done();
+				});
+		});
+		it('should fall back to the name of the function', function() {
+			instance.post('save', function failing() {
+				return P.reject(error);
+			});
+			return instance.callThenableHook('post:save').then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.phase).to.equal('post');
+				expect(err.middlewareName).to.equal('failing');
+				expect(err.cause).to.equal(error);
+			});
+		});
+		it('should wrap errors thrown by synchronous middleware', function() {
+			instance.pre('save', function() {
+				throw error;
+			});
+			try {
+				instance.callSyncHook('pre:save');
+			} catch (err) {
+				expect(err).to.be.an.instanceof(subject.HookError);
+				expect(err.index).to.equal(0);
+				expect(err.cause).to.equal(error);
+				return;
+			}
+			throw new Error('should throw');
+		});
+		it('should wrap errors of parallel middleware', function(done) {
+			instance
+				.pre('save', function(next, mwDone) {
+					next();
+					setTimeout(function() {
+						mwDone(error);
+					}, 10);
+				})
+				.callHook('pre:save', function(err) {
+					expect(err).to.be.an.instanceof(subject.HookError);
+					expect(err.cause).to.equal(error);
+					done();
+				});
+		});
+		it('should not wrap errors by default', function(done) {
+			var plain = subject.create();
+			plain.allowHooks('save');
+			plain
+				.pre('save', function(next) {
+					next(error);
+				})
+				.callHook('pre:save', function(err) {
+					expect(err).to.equal(error);
+					done();
+				});
+		});
+	});
+	describe('with wrapped asynchronous methods', function() {
+		var failMethod;
+		beforeEach(function() {
+			failMethod = false;
+			instance.addHooks({
+				save: function(callback) {
+					callback(failMethod ? error : null);
+				}
+			});
+		});
+		it('should record the phase `method` for errors of the method', function(done) {
+			failMethod = true;
+			instance.save(function(err) {
+				expect(err).to.be.an.instanceof(subject.HookError);
+				expect(err.hook).to.equal('save');
+				expect(err.phase).to.equal('method');
+				expect(err.index).to.be.undefined();
+				expect(err.cause).to.equal(error);
+				expect(err.message).to.equal('save failed: original');
+				done();
+			});
+		});
+		it('should record errors of post middleware', function(done) {
+			instance
+				.post('save', function() {
+				}, function() {
+					throw error;
+				})
+				.save(function(err) {
+					expect(err.phase).to.equal('post');
+					expect(err.index).to.equal(1);
+					done();
+				});
+		});
+		it('should record errors of around middleware', function(done) {
+			instance
+				.around('save', function(proceed, next) {
+					next(error);
+				})
+				.save(function(err) {
+					expect(err.phase).to.equal('around');
+					expect(err.index).to.equal(0);
+					expect(err.cause).to.equal(error);
+					done();
+				});
+		});
+		it('should not rewrap method errors passed on by around middleware', function(done) {
+			failMethod = true;
+			instance
+				.around('save', function(proceed, next) {
+					proceed(next);
+				})
+				.save(function(err) {
+					expect(err.phase).to.equal('method');
+					expect(err.cause).to.equal(error);
+					done();
+				});
+		});
+		it('should pass the wrapped error to error middleware', function(done) {
+			instance
+				.pre('save', function(next) {
+					next(error);
+				})
+				.error('save', function(err) {
+					expect(err).to.be.an.instanceof(subject.HookError);
+					expect(err.cause).to.equal(error);
+				})
+				.save(function() {
+					done();
+				});
+		});
+	});
+	describe('with wrapped thenable methods', function() {
+		it('should record the phase `method` for rejections of the method', function() {
+			instance.addThenableHooks({
+				save: function() {
+					return P.reject(error);
+				}
+			});
+			return instance.save().then(function() {
+				throw new Error('should not resolve');
+			}, function(err) {
+				expect(err.phase).to.equal('method');
+				expect(err.cause).to.equal(error);
+			});
+		});
+	});
+	describe('with wrapped synchronous methods', function() {
+		it('should record the phase `method` for errors thrown by the method', function() {
+			instance.addSyncHooks({
+				save: function() {
+					throw error;
+				}
+			});
+			expect(function() {
+				instance.save();
+			}).to.throw(/save failed: original/);
+		});
+		it('should record errors of finally middleware', function() {
+			instance.addSyncHooks({
+				save: function() {
+				}
+			});
+			instance.finally('save', function() {
+				throw error;
+			});
+			expect(function() {
+				instance.save();
+			}).to.throw(/Middleware #0 "anonymous" of finally:save failed/);
+		});
+	});
+});
@@ -0,0 +1,161 @@
+'use strict';
+/* eslint-env node, mocha */
+
+var expect = require('must');
+var P = require('bluebird');
+var subject = require('../index');
+var $ = require('./fixtures');
+
+describe('hook patterns', function() {
+	var instance;
+	var called;
+	beforeEach(function() {
+		called = [];
+		instance = subject.create({
+			createThenable: function(fn) {
+				return new P(fn);
+			}
+		});
+		instance.allowHooks($.TEST, 'user.save', 'user.remove');
+	});
+	describe('registration', function() {
+		it('should allow patterns matching declared hooks', function() {
+			expect(function() {
+				instance.pre('*', $.factories.createNamed('all', called));
+				instance.hook('post:user.*', $.factories.createNamed('user', called));
+			}).not.to.throw();
+		});
+		it('should throw an error for patterns not matching any declared hook in strict mode', function() {
+			expect(function() {
+				instance.hook('pre:project.*', $.factories.createNamed('project', called));
+			}).to.throw(/not supported/);
+		});
+		it('should allow any pattern in lenient mode', function() {
+			instance = subject.create({strict: false});
+			expect(function() {
+				instance.hook('pre:project.*', $.factories.createNamed('project', called));
+			}).not.to.throw();
+		});
+		it('should not allow declaring patterns', function() {
+			expect(function() {
+				instance.allowHooks('pre:*');
+			}).to.throw(/patterns/);
+		});
+	});
+	describe('GrapplingHook#hookable', function() {
+		it('should determine whether a pattern matches any declared hook', function() {
+			expect(instance.hookable('pre:user.*')).to.be.true();
+			expect(instance.hookable('pre:us?r.save')).to.be.true();
+			expect(instance.hookable('pre:project.*')).to.be.false();
+		});
+	});
+	describe('execution', function() {
+		it('should execute pattern middleware for matching hooks', function() {
+			instance
+				.hook('pre:user.*', $.factories.createNamed('user', called))
+				.pre('*', $.factories.createNamed('all', called))
+				.callSyncHook('pre:user.save')
+				.callSyncHook('pre:test')
+				.callSyncHook('post:user.save');
+			expect(called).to.eql(['user', 'all', 'all']);
+		});
+		it('should merge pattern middleware in order of registration and priority', function() {
+			instance
+				.pre('user.save', $.factories.createNamed('first', called))
+				.pre('user.*', $.factories.createNamed('second', called))
+				.pre('user.save', $.factories.createNamed('third', called))
+				.pre('*', $.factories.createNamed('zeroth', called), {priority: 1})
+				.callSyncHook('pre:user.save');
+			expect(called).to.eql(['zeroth', 'first', 'second', 'third']);
+		});
+		it('should ignore ordering constraints referring to middleware not registered for a matching hook', function() {
+			instance
+				.pre('user.save', $.factories.createNamed('auth', called), {name: 'auth'})
+				.hook('pre:user.*', $.factories.createNamed('log', called), {after: 'auth'})
+				.callSyncHook('pre:user.save')
+				.callSyncHook('pre:user.remove');
+			expect(called).to.eql(['auth', 'log', 'log']);
+		});
+		it('should still throw an error for unknown names of middleware registered to the hook itself', function() {
+			instance.hook('pre:user.*', $.factories.createNamed('log', called), {name: 'log'});
+			instance.pre('user.remove', $.factories.createNamed('remove', called), {after: 'auth'});
+			expect(function() {
+				instance.callSyncHook('pre:user.remove');
+			}).to.throw(/unknown middleware "auth"/);
+		});
+		it('should execute pattern middleware in wrapped asynchronous methods', function(done) {
+			instance.test = function(callback) {
+				called.push('method');
+				callback();
+			};
+			instance.addHooks($.TEST)
+				.pre('*', $.factories.createNamed('pre', called))
+				.post('t*', $.factories.createNamed('post', called))
+				.test(function() {
+					expect(called).to.eql(['pre', 'method', 'post']);
+					done();
+				});
+		});
+		it('should execute pattern middleware in wrapped thenable methods', function() {
+			instance.test = function() {
+				called.push('method');
+				return P.resolve();
+			};
+			return instance.addThenableHooks($.TEST)
+				.pre('*', $.factories.createNamed('pre', called))
+				.post('*', $.factories.createNamed('post', called))
+				.test()
+				.then(function() {
+					expect(called).to.eql(['pre', 'method', 'post']);
+				});
+		});
+		it('should execute pattern middleware in wrapped sync methods', function() {
+			instance.test = function() {
+				called.push('method');
+			};
+			instance.addSyncHooks($.TEST)
+				.pre('*', $.factories.createNamed('pre', called))
+				.post('*', $.factories.createNamed('post', called))
+				.test();
+			expect(called).to.eql(['pre', 'method', 'post']);
+		});
+	});
+	describe('GrapplingHook#getMiddleware', function() {
+		it('should include pattern middleware for a hook', function() {
+			var mw = $.factories.createNamed('all', called);
+			instance.pre('*', mw);
+			expect(instance.getMiddleware('pre:user.remove')).to.eql([mw]);
+		});
+		it('should only retrieve middleware registered to the pattern itself for a pattern', function() {
+			var mw = $.factories.createNamed('user', called);
+			instance.pre('user.*', mw)
+				.pre('*', $.factories.createNamed('all', called));
+			expect(instance.getMiddleware('pre:user.*')).to.eql([mw]);
+		});
+	});
+	describe('GrapplingHook#unhook', function() {
+		var mw;
+		beforeEach(function() {
+			mw = $.factories.createNamed('all', called);
+			instance.pre('*', mw, {tags: 'logging'})
+				.pre('user.*', $.factories.createNamed('user', called));
+		});
+		it('should remove middleware from a pattern', function() {
+			instance.unhook('pre:*', mw);
+			expect(instance.getMiddleware('pre:user.*')).not.to.be.empty();
+			expect(instance.getMiddleware('pre:*')).to.be.empty();
+		});
+		it('should remove all pattern middleware', function() {
+			instance.unhook();
+			expect(instance.getMiddleware('pre:user.save')).to.be.empty();
+		});
+		it('should remove tagged pattern middleware', function() {
+			instance.unhook({tag: 'logging'});
+			expect(instance.getMiddleware('pre:*')).to.be.empty();
+		});
+		it('should not remove pattern middleware for an unqualified hook', function() {
+			instance.unhook('user.save');
+			expect(instance.getMiddleware('pre:user.save').length).to.equal(2);
+		});
+	});
+});